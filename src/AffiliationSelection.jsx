@@ -0,0 +1,79 @@
+import { useState } from 'react';
+import { FormattedMessage } from 'react-intl';
+import PropTypes from 'prop-types';
+
+import { Button, Col, Row } from './StripesComponents';
+import StripesTemplate from './StripesTemplate';
+import { brandingShape } from './constants';
+import styles from './index.module.css';
+
+/**
+ * AffiliationSelection: let a consortium user with several affiliations
+ * choose the tenant to work in. The tenant they chose last time is
+ * preselected, or else their primary affiliation.
+ */
+function AffiliationSelection({ affiliations, branding, defaultAffiliation, onSelect }) {
+  const initialAffiliation = affiliations.find(({ tenantId }) => tenantId === defaultAffiliation)
+    ?? affiliations.find(({ isPrimary }) => isPrimary)
+    ?? affiliations[0];
+
+  const [tenantId, setTenantId] = useState(initialAffiliation.tenantId);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsSubmitting(true);
+    await onSelect(tenantId);
+  };
+
+  return (
+    <StripesTemplate branding={branding}>
+      <form className={styles.hubForm} onSubmit={handleSubmit}>
+        <Row center="xs">
+          <Col xs={6}>
+            <fieldset data-testid="AffiliationSelection">
+              <legend className={styles.label}>
+                <FormattedMessage id="stripes-hub.AffiliationSelection.headline" />
+              </legend>
+              {affiliations.map((affiliation) => (
+                <div key={affiliation.tenantId}>
+                  <input
+                    type="radio"
+                    id={`affiliation-${affiliation.tenantId}`}
+                    name="affiliation"
+                    value={affiliation.tenantId}
+                    checked={affiliation.tenantId === tenantId}
+                    onChange={() => setTenantId(affiliation.tenantId)}
+                  />
+                  <label htmlFor={`affiliation-${affiliation.tenantId}`}>
+                    {affiliation.tenantName}
+                  </label>
+                </div>
+              ))}
+            </fieldset>
+            <Button
+              type="submit"
+              className={styles.hubButton}
+              disabled={isSubmitting}
+            >
+              <FormattedMessage id="stripes-hub.AffiliationSelection.button.continue" />
+            </Button>
+          </Col>
+        </Row>
+      </form>
+    </StripesTemplate>
+  );
+}
+
+AffiliationSelection.propTypes = {
+  affiliations: PropTypes.arrayOf(PropTypes.shape({
+    isPrimary: PropTypes.bool,
+    tenantId: PropTypes.string.isRequired,
+    tenantName: PropTypes.string.isRequired,
+  })).isRequired,
+  branding: PropTypes.shape(brandingShape).isRequired,
+  defaultAffiliation: PropTypes.string,
+  onSelect: PropTypes.func.isRequired,
+};
+
+export default AffiliationSelection;
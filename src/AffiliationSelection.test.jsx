@@ -0,0 +1,68 @@
+import { render, screen } from '@folio/jest-config-stripes/testing-library/react';
+import userEvent from '@folio/jest-config-stripes/testing-library/user-event';
+import { IntlProvider } from 'react-intl';
+import { runAxeTest } from '@folio/stripes-testing';
+
+import AffiliationSelection from './AffiliationSelection';
+
+const branding = {
+  logo: {
+    src: 'http://logo.png',
+    alt: 'Some alt'
+  }
+};
+
+const affiliations = [
+  { tenantId: 'central', tenantName: 'Central office', isPrimary: false },
+  { tenantId: 'diku', tenantName: 'Diku', isPrimary: true },
+  { tenantId: 'fs09', tenantName: 'FS09', isPrimary: false },
+];
+
+const renderWithIntl = (component) => {
+  return render(
+    <IntlProvider locale="en" messages={{}}>
+      {component}
+    </IntlProvider>
+  );
+};
+
+describe('AffiliationSelection', () => {
+  it('lists the affiliations', () => {
+    renderWithIntl(<AffiliationSelection affiliations={affiliations} branding={branding} onSelect={jest.fn()} />);
+
+    screen.getByText('stripes-hub.AffiliationSelection.headline');
+    expect(screen.getAllByRole('radio')).toHaveLength(3);
+  });
+
+  it('preselects the primary affiliation', () => {
+    renderWithIntl(<AffiliationSelection affiliations={affiliations} branding={branding} onSelect={jest.fn()} />);
+
+    expect(screen.getByRole('radio', { name: 'Diku' })).toBeChecked();
+  });
+
+  it('preselects the affiliation chosen last time', () => {
+    renderWithIntl(<AffiliationSelection affiliations={affiliations} branding={branding} defaultAffiliation="fs09" onSelect={jest.fn()} />);
+
+    expect(screen.getByRole('radio', { name: 'FS09' })).toBeChecked();
+  });
+
+  it('calls onSelect with the chosen affiliation', async () => {
+    const user = userEvent.setup();
+    const onSelect = jest.fn().mockResolvedValue();
+    renderWithIntl(<AffiliationSelection affiliations={affiliations} branding={branding} onSelect={onSelect} />);
+
+    await user.click(screen.getByRole('radio', { name: 'Central office' }));
+    await user.click(screen.getByRole('button'));
+
+    expect(onSelect).toHaveBeenCalledWith('central');
+    expect(screen.getByRole('button')).toBeDisabled();
+  });
+
+  it('should render with no axe errors', async () => {
+    renderWithIntl(<AffiliationSelection affiliations={affiliations} branding={branding} onSelect={jest.fn()} />);
+
+    await runAxeTest({
+      rootNode: document.body,
+    });
+  });
+});
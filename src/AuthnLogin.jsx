@@ -1,9 +1,13 @@
-import { useLayoutEffect } from 'react';
+import { useLayoutEffect, useState } from 'react';
 import PropTypes from 'prop-types';
 import PreLoginLanding from './PreLoginLanding';
 
 import {
+  getCurrentTenant,
+  getHostTenant,
   getLoginUrl,
+  hasSilentSsoAttemptedInSession,
+  setSilentSsoAttemptedToSession,
   storeCurrentTenant,
 } from './loginServices';
 
@@ -11,31 +15,64 @@ const AuthnLogin = ({config, branding}) => {
   const { tenantOptions } = config;
   const tenants = Object.values(tenantOptions);
 
+  // If only 1 tenant is defined in config, or the current hostname is
+  // mapped to a tenant, there is nothing to choose.
+  const loginTenant = tenants.length === 1 ? tenants[0] : getHostTenant(config);
+
+  // A tenant with several identity providers still needs the user to choose one.
+  const hasIdentityProviderChoice = (loginTenant?.identityProviders?.length ?? 0) > 1;
+
+  // With silentSso, first ask the provider whether the user already has a
+  // session, with no interaction (prompt=none). That needs a tenant, so fall
+  // back to the one this browser last used. If the provider answers
+  // login_required, useExchangeCode returns here and we don't try again.
+  const [silentTenant] = useState(() => {
+    if (!config.silentSso || !config.authnUrl || hasSilentSsoAttemptedInSession()) return undefined;
+    return loginTenant ?? tenantOptions[getCurrentTenant()?.name];
+  });
+
   useLayoutEffect(() => {
-    // If only 1 tenant is defined in config, set as current tenant.
-    if (tenants.length === 1) {
-      const loginTenant = tenants[0];
+    if (silentTenant) {
+      setSilentSsoAttemptedToSession();
+      storeCurrentTenant(silentTenant.name, silentTenant.clientId);
+      getLoginUrl(config, silentTenant.name, silentTenant.clientId, { prompt: 'none' })
+        .then(loginUrl => globalThis.location.replace(loginUrl));
+      return;
+    }
+
+    // If the tenant is known, set it as current tenant and skip the tenant
+    // selection screen.
+    if (loginTenant) {
       storeCurrentTenant(loginTenant.name, loginTenant.clientId);
+
+      if (config.authnUrl && !hasIdentityProviderChoice) {
+        getLoginUrl(config, loginTenant.name, loginTenant.clientId)
+          .then(loginUrl => globalThis.location.replace(loginUrl));
+      }
     }
     // we only want to run this effect once, on load.
     // config tenant values are defined in index.html
   }, []);
 
-  if (config.authnUrl) {
-    // If only 1 tenant is defined in config, skip the tenant selection screen.
-    if (tenants.length === 1) {
-      const loginTenant = tenants[0];
-
-      globalThis.location.replace(getLoginUrl(config, loginTenant.name, loginTenant.clientId));
-    }
-
-    return <PreLoginLanding onSelectTenant={storeCurrentTenant} config={config} branding={branding} tenantOptions={tenantOptions} />;
+  if (config.authnUrl && !silentTenant && (!loginTenant || hasIdentityProviderChoice)) {
+    return (
+      <PreLoginLanding
+        onSelectTenant={storeCurrentTenant}
+        config={config}
+        branding={branding}
+        tenantOptions={loginTenant ? { [loginTenant.name]: loginTenant } : tenantOptions}
+      />
+    );
   }
+
+  return null;
 };
 
 AuthnLogin.propTypes = {
   config: PropTypes.shape({
     authnUrl: PropTypes.string.isRequired,
+    hostTenants: PropTypes.object,
+    silentSso: PropTypes.bool,
     tenantOptions: PropTypes.object.isRequired,
   }).isRequired,
   branding: PropTypes.shape({
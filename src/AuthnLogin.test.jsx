@@ -1,4 +1,4 @@
-import { render, screen } from '@folio/jest-config-stripes/testing-library/react';
+import { render, screen, waitFor } from '@folio/jest-config-stripes/testing-library/react';
 import AuthnLogin from './AuthnLogin';
 import * as loginServices from './loginServices';
 
@@ -37,7 +37,7 @@ describe('AuthnLogin', () => {
     };
 
     loginServices.storeCurrentTenant.mockImplementation();
-    loginServices.getLoginUrl.mockReturnValue('http://login.example.com');
+    loginServices.getLoginUrl.mockResolvedValue('http://login.example.com');
 
     const { container } = render(
       <AuthnLogin config={config} branding={mockBranding} />
@@ -47,7 +47,7 @@ describe('AuthnLogin', () => {
     screen.getByText(/PreLoginLanding/);
   });
 
-  it('one tenant: redirect to login', () => {
+  it('one tenant: redirect to login', async () => {
     const config = {
       authnUrl: 'http://authn.example.com',
       tenantOptions: {
@@ -56,11 +56,103 @@ describe('AuthnLogin', () => {
     };
 
     loginServices.storeCurrentTenant.mockImplementation();
-    loginServices.getLoginUrl.mockReturnValue('http://login.example.com/diku');
+    loginServices.getLoginUrl.mockResolvedValue('http://login.example.com/diku');
 
     render(<AuthnLogin config={config} branding={mockBranding} />);
 
     expect(loginServices.storeCurrentTenant).toHaveBeenCalledWith('diku', 'diku-app');
-    expect(globalThis.location.replace).toHaveBeenCalledWith('http://login.example.com/diku');
+    await waitFor(() => expect(globalThis.location.replace).toHaveBeenCalledWith('http://login.example.com/diku'));
+  });
+
+  it('multiple tenants, hostname mapped to a tenant: redirect to login', async () => {
+    const config = {
+      authnUrl: 'http://authn.example.com',
+      hostTenants: { 'lib-a.folio.example.org': 'supertenant' },
+      tenantOptions: {
+        diku: { name: 'diku', clientId: 'diku-app' },
+        supertenant: { name: 'supertenant', clientId: 'super-app' },
+      },
+    };
+
+    loginServices.storeCurrentTenant.mockImplementation();
+    loginServices.getHostTenant.mockReturnValue(config.tenantOptions.supertenant);
+    loginServices.getLoginUrl.mockResolvedValue('http://login.example.com/supertenant');
+
+    render(<AuthnLogin config={config} branding={mockBranding} />);
+
+    expect(loginServices.getHostTenant).toHaveBeenCalledWith(config);
+    expect(loginServices.storeCurrentTenant).toHaveBeenCalledWith('supertenant', 'super-app');
+    await waitFor(() => expect(globalThis.location.replace).toHaveBeenCalledWith('http://login.example.com/supertenant'));
+  });
+
+  it('hostname mapped to a tenant with several identity providers: render the provider choice', async () => {
+    const supertenant = {
+      name: 'supertenant',
+      clientId: 'super-app',
+      identityProviders: [{ alias: 'saml', label: 'Campus' }, { alias: 'keycloak', label: 'Library account' }],
+    };
+    const config = {
+      authnUrl: 'http://authn.example.com',
+      tenantOptions: {
+        diku: { name: 'diku', clientId: 'diku-app' },
+        supertenant,
+      },
+    };
+
+    loginServices.storeCurrentTenant.mockImplementation();
+    loginServices.getHostTenant.mockReturnValue(supertenant);
+
+    render(<AuthnLogin config={config} branding={mockBranding} />);
+
+    expect(loginServices.storeCurrentTenant).toHaveBeenCalledWith('supertenant', 'super-app');
+    screen.getByText(/PreLoginLanding/);
+    expect(loginServices.getLoginUrl).not.toHaveBeenCalled();
+  });
+
+  describe('silent SSO', () => {
+    const config = {
+      authnUrl: 'http://authn.example.com',
+      silentSso: true,
+      tenantOptions: {
+        diku: { name: 'diku', clientId: 'diku-app' },
+        supertenant: { name: 'supertenant', clientId: 'super-app' },
+      },
+    };
+
+    beforeEach(() => {
+      loginServices.storeCurrentTenant.mockImplementation();
+      loginServices.getLoginUrl.mockResolvedValue('http://login.example.com/silent');
+      loginServices.getHostTenant.mockReturnValue(undefined);
+      loginServices.hasSilentSsoAttemptedInSession.mockReturnValue(false);
+    });
+
+    it('tries a prompt=none login for the last-used tenant', () => {
+      loginServices.getCurrentTenant.mockReturnValue({ name: 'diku', clientId: 'diku-app' });
+
+      render(<AuthnLogin config={config} branding={mockBranding} />);
+
+      expect(loginServices.setSilentSsoAttemptedToSession).toHaveBeenCalled();
+      expect(loginServices.getLoginUrl).toHaveBeenCalledWith(config, 'diku', 'diku-app', { prompt: 'none' });
+      expect(screen.queryByText(/PreLoginLanding/)).not.toBeInTheDocument();
+    });
+
+    it('shows the select-tenant screen when no tenant is known', () => {
+      loginServices.getCurrentTenant.mockReturnValue(undefined);
+
+      render(<AuthnLogin config={config} branding={mockBranding} />);
+
+      expect(loginServices.getLoginUrl).not.toHaveBeenCalled();
+      screen.getByText(/PreLoginLanding/);
+    });
+
+    it('does not try again after a silent attempt has failed', () => {
+      loginServices.getCurrentTenant.mockReturnValue({ name: 'diku', clientId: 'diku-app' });
+      loginServices.hasSilentSsoAttemptedInSession.mockReturnValue(true);
+
+      render(<AuthnLogin config={config} branding={mockBranding} />);
+
+      expect(loginServices.getLoginUrl).not.toHaveBeenCalled();
+      screen.getByText(/PreLoginLanding/);
+    });
   });
 });
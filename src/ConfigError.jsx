@@ -1,17 +1,32 @@
 import { FormattedMessage } from 'react-intl';
 import PropTypes from 'prop-types';
 
+import { getConfigErrors } from './loginServices';
 import { Col, Row } from './StripesComponents';
 import StripesTemplate from './StripesTemplate';
 
-function ConfigError({ branding, config }) {
-  console.error('The config object is incomplete or incorrect', config);
+function ConfigError({ branding, config, error }) {
+  const problems = getConfigErrors(config);
+  console.error('The config object is incomplete or incorrect', config, problems, error);
 
   return (
     <StripesTemplate branding={branding}>
       <Row center="xs">
         <Col xs={12}>
           <h1><FormattedMessage id="stripes-hub.ConfigError.headline" /></h1>
+          {error?.options?.id && <h2><FormattedMessage id={error.options.id} values={{ url: error.options.url }} /></h2>}
+          {problems.length > 0 && (
+            <>
+              <h2><FormattedMessage id="stripes-hub.ConfigError.problems" /></h2>
+              <ul data-testid="ConfigError-problems">
+                {problems.map(({ id, values }) => (
+                  <li key={`${id}-${Object.values(values).join('-')}`}>
+                    <FormattedMessage id={id} values={values} />
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
         </Col>
       </Row>
     </StripesTemplate>
@@ -24,6 +39,13 @@ ConfigError.propTypes = {
     logo: PropTypes.string,
   }).isRequired,
   config: PropTypes.object,
+  error: PropTypes.shape({
+    message: PropTypes.string,
+    options: PropTypes.shape({
+      id: PropTypes.string,
+      url: PropTypes.string,
+    }),
+  }),
 };
 
 export default ConfigError;
@@ -47,6 +47,42 @@ describe('ConfigError', () => {
     screen.getByText('stripes-hub.ConfigError.headline')
   });
 
+  it('renders a localized error when one is provided', () => {
+    const error = {
+      message: 'Config fetch error at /hub-config.json',
+      options: { id: 'stripes-hub.error.configFetch', url: '/hub-config.json' },
+    };
+
+    renderWithIntl(
+      <ConfigError branding={branding} config={config} error={error} />
+    );
+
+    screen.getByText('stripes-hub.error.configFetch');
+  });
+
+  it('renders a list of configuration problems', () => {
+    renderWithIntl(
+      <ConfigError branding={branding} config={config} />
+    );
+
+    expect(screen.getByTestId('ConfigError-problems').querySelectorAll('li')).toHaveLength(2);
+    screen.getByText('stripes-hub.ConfigError.problems');
+  });
+
+  it('does not render a problem list for a valid config', () => {
+    const validConfig = {
+      ...config,
+      authnUrl: 'http://authn.example.com',
+      tenantOptions: { diku: { name: 'diku', clientId: 'diku-application' } },
+    };
+
+    renderWithIntl(
+      <ConfigError branding={branding} config={validConfig} />
+    );
+
+    expect(screen.queryByTestId('ConfigError-problems')).not.toBeInTheDocument();
+  });
+
   it('logs error to console', () => {
     renderWithIntl(
       <ConfigError branding={branding} config={config} />
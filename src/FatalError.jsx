@@ -1,8 +1,10 @@
 import { useIntl, FormattedMessage } from 'react-intl';
 import PropTypes from 'prop-types';
 
+import { logout } from './loginServices';
 import { Button, Col, Row } from './StripesComponents';
 import StripesTemplate from './StripesTemplate';
+import { urlPaths } from './constants';
 import styles from './index.module.css';
 
 function FatalError({ branding, config, error }) {
@@ -11,11 +13,8 @@ function FatalError({ branding, config, error }) {
   console.error({ error })
   const handleLogout = async (event) => {
     event.preventDefault();
-    await fetch(`${config.gatewayUrl}/authn/logout`, {
-      method: 'POST',
-      credentials: 'include',
-    });
-    globalThis.location.assign(location.origin);
+    const logoutUrl = await logout(config);
+    globalThis.location.assign(logoutUrl ?? `${location.origin}/${urlPaths.LOGOUT}`);
   }
 
   const handleReload = (event) => {
@@ -33,7 +32,7 @@ function FatalError({ branding, config, error }) {
     message = error?.options?.json?.message;
   }
 
-  const l10nMessage = error.options?.id ? intl.formatMessage({ id: error.options.id }, { url: error?.options?.url }) : error.message;
+  const l10nMessage = error.options?.id ? intl.formatMessage({ id: error.options.id }, { url: error?.options?.url, ...error?.options?.values }) : error.message;
 
   return (
     <StripesTemplate branding={branding}>
@@ -90,6 +89,7 @@ FatalError.propTypes = {
         })),
       }),
       url: PropTypes.string,
+      values: PropTypes.object,
     }),
   }).isRequired
 };
@@ -86,7 +86,7 @@ describe('FatalError', () => {
           credentials: 'include',
         }
       );
-      expect(globalThis.location.assign).toHaveBeenCalledWith('http://localhost');
+      expect(globalThis.location.assign).toHaveBeenCalledWith('http://localhost/logout');
     });
   });
 
@@ -0,0 +1,82 @@
+import { FormattedMessage } from 'react-intl';
+import PropTypes from 'prop-types';
+
+import { getHostTenant, removeCurrentTenant } from './loginServices';
+import { Button, Col, Row } from './StripesComponents';
+import StripesTemplate from './StripesTemplate';
+import { brandingShape, configShape, idpErrorActions, idpErrors, urlPaths } from './constants';
+import styles from './index.module.css';
+
+/**
+ * IdpError: explain why the authentication provider sent the user back to
+ * /oidc-landing without a code, and offer whatever next steps might help.
+ */
+function IdpError({ branding, config, error }) {
+  const { idpError } = error.options;
+  const actions = idpErrors[idpError] ?? [idpErrorActions.CONTACT_ADMIN];
+
+  // choosing a tenant only helps if there is a tenant picker to return to
+  const canChooseTenant = Object.keys(config.tenantOptions ?? {}).length > 1 && !getHostTenant(config);
+
+  const handleTryAgain = (event) => {
+    event.preventDefault();
+    globalThis.location.assign(`/${urlPaths.AUTHN_LOGIN}`);
+  };
+
+  const handleChooseTenant = (event) => {
+    event.preventDefault();
+    removeCurrentTenant();
+    globalThis.location.assign(`/${urlPaths.AUTHN_LOGIN}`);
+  };
+
+  return (
+    <StripesTemplate branding={branding}>
+      <Row center="xs">
+        <Col xs={12}>
+          <div data-testid="IdpError">
+            <h1><FormattedMessage id={idpErrors[idpError] ? `stripes-hub.IdpError.${idpError}` : 'stripes-hub.IdpError.unknown'} /></h1>
+            {actions.includes(idpErrorActions.CONTACT_ADMIN) && <p><FormattedMessage id="stripes-hub.IdpError.contactAdmin" /></p>}
+          </div>
+        </Col>
+      </Row>
+      <Row center="xs">
+        {actions.includes(idpErrorActions.TRY_AGAIN) && (
+          <Col xs={6}>
+            <Button
+              className={`${styles.hubSubmitButton} ${styles.secondary}`}
+              onClick={handleTryAgain}
+            >
+              <FormattedMessage id="stripes-hub.IdpError.tryAgain" />
+            </Button>
+          </Col>
+        )}
+        {actions.includes(idpErrorActions.CHOOSE_TENANT) && canChooseTenant && (
+          <Col xs={6}>
+            <Button
+              className={`${styles.hubSubmitButton} ${styles.secondary}`}
+              onClick={handleChooseTenant}
+            >
+              <FormattedMessage id="stripes-hub.IdpError.chooseTenant" />
+            </Button>
+          </Col>
+        )}
+      </Row>
+    </StripesTemplate>
+  );
+}
+
+IdpError.propTypes = {
+  branding: PropTypes.shape(brandingShape).isRequired,
+  config: PropTypes.shape({
+    ...configShape,
+    tenantOptions: PropTypes.object,
+  }).isRequired,
+  error: PropTypes.shape({
+    message: PropTypes.string.isRequired,
+    options: PropTypes.shape({
+      idpError: PropTypes.string.isRequired,
+    }).isRequired,
+  }).isRequired,
+};
+
+export default IdpError;
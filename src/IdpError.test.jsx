@@ -0,0 +1,93 @@
+import { render, screen } from '@folio/jest-config-stripes/testing-library/react';
+import userEvent from '@folio/jest-config-stripes/testing-library/user-event';
+import { IntlProvider } from 'react-intl';
+import { runAxeTest } from '@folio/stripes-testing';
+
+import IdpError from './IdpError';
+import * as loginServices from './loginServices';
+
+jest.mock('./loginServices');
+
+const branding = {
+  logo: {
+    src: 'http://logo.png',
+    alt: 'Some alt'
+  }
+};
+
+const config = {
+  authnUrl: 'http://authn.example.com',
+  gatewayUrl: 'http://gateway.example.com',
+  tenantOptions: {
+    diku: { name: 'diku', clientId: 'diku-app' },
+    fs09: { name: 'fs09', clientId: 'fs09-app' },
+  },
+};
+
+const idpError = (code) => ({
+  message: `Authentication provider error: ${code}`,
+  options: { idpError: code },
+});
+
+const renderWithIntl = (component) => {
+  return render(
+    <IntlProvider locale="en" messages={{}}>
+      {component}
+    </IntlProvider>
+  );
+};
+
+describe('IdpError', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    globalThis.location = {
+      assign: jest.fn(),
+    };
+    loginServices.getHostTenant.mockReturnValue(undefined);
+  });
+
+  it('explains a known error', () => {
+    renderWithIntl(<IdpError branding={branding} config={config} error={idpError('temporarily_unavailable')} />);
+
+    screen.getByText('stripes-hub.IdpError.temporarily_unavailable');
+    screen.getByRole('button', { name: /IdpError.tryAgain/ });
+    expect(screen.queryByText('stripes-hub.IdpError.contactAdmin')).not.toBeInTheDocument();
+  });
+
+  it('offers to choose a different tenant when access is denied', async () => {
+    const user = userEvent.setup();
+    renderWithIntl(<IdpError branding={branding} config={config} error={idpError('access_denied')} />);
+
+    await user.click(screen.getByRole('button', { name: /IdpError.chooseTenant/ }));
+    expect(loginServices.removeCurrentTenant).toHaveBeenCalled();
+    expect(globalThis.location.assign).toHaveBeenCalledWith('/authn-login');
+  });
+
+  it('does not offer to choose a tenant when there is nothing to choose', () => {
+    loginServices.getHostTenant.mockReturnValue(config.tenantOptions.diku);
+    renderWithIntl(<IdpError branding={branding} config={config} error={idpError('access_denied')} />);
+
+    expect(screen.queryByRole('button', { name: /IdpError.chooseTenant/ })).not.toBeInTheDocument();
+  });
+
+  it('refers configuration errors to an administrator', () => {
+    renderWithIntl(<IdpError branding={branding} config={config} error={idpError('unauthorized_client')} />);
+
+    screen.getByText('stripes-hub.IdpError.contactAdmin');
+    expect(screen.queryByRole('button')).not.toBeInTheDocument();
+  });
+
+  it('falls back to a generic explanation for unknown errors', () => {
+    renderWithIntl(<IdpError branding={branding} config={config} error={idpError('something_new')} />);
+
+    screen.getByText('stripes-hub.IdpError.unknown');
+    screen.getByText('stripes-hub.IdpError.contactAdmin');
+  });
+
+  it('should render with no axe errors', async () => {
+    renderWithIntl(<IdpError branding={branding} config={config} error={idpError('access_denied')} />);
+    await runAxeTest({
+      rootNode: document.body,
+    });
+  });
+});
@@ -0,0 +1,60 @@
+import { FormattedMessage } from 'react-intl';
+import PropTypes from 'prop-types';
+
+import useLogout from './hooks/useLogout';
+import FatalError from './FatalError';
+import { Button, Col, Row } from './StripesComponents';
+import StripesTemplate from './StripesTemplate';
+import { brandingShape, configShape, urlPaths } from './constants';
+import styles from './index.module.css';
+
+/**
+ * Logout: route handler for /logout.
+ *
+ * * end the session on the server and purge local session data
+ * * redirect through the identity provider's logout endpoint, which
+ *   returns here
+ * * show that the user has been logged out, with a button to log in again
+ */
+const Logout = ({ branding, config }) => {
+  const { isLoggingOut, error } = useLogout(config);
+
+  if (error) {
+    return <FatalError branding={branding} config={config} error={error} />;
+  }
+
+  const handleLogin = (event) => {
+    event.preventDefault();
+    globalThis.location.assign(`/${urlPaths.AUTHN_LOGIN}`);
+  };
+
+  return (
+    <StripesTemplate branding={branding}>
+      <Row center="xs">
+        <Col xs={12}>
+          <div data-testid="Logout">
+            {isLoggingOut && <h1><FormattedMessage id="stripes-hub.Logout.loggingOut" /></h1>}
+            {!isLoggingOut && (
+              <>
+                <h1><FormattedMessage id="stripes-hub.Logout.loggedOut" /></h1>
+                <Button
+                  className={styles.hubButton}
+                  onClick={handleLogin}
+                >
+                  <FormattedMessage id="stripes-hub.Logout.button.login" />
+                </Button>
+              </>
+            )}
+          </div>
+        </Col>
+      </Row>
+    </StripesTemplate>
+  );
+};
+
+Logout.propTypes = {
+  branding: PropTypes.shape(brandingShape).isRequired,
+  config: PropTypes.shape(configShape).isRequired,
+};
+
+export default Logout;
@@ -0,0 +1,73 @@
+import { render, screen } from '@folio/jest-config-stripes/testing-library/react';
+import userEvent from '@folio/jest-config-stripes/testing-library/user-event';
+import { IntlProvider } from 'react-intl';
+import { runAxeTest } from '@folio/stripes-testing';
+import Logout from './Logout';
+import * as useLogoutModule from './hooks/useLogout';
+
+jest.mock('./hooks/useLogout');
+jest.mock('./FatalError', () => () => 'FatalError');
+
+const mockBranding = {
+  logo: {
+    src: 'http://logo.png',
+    alt: 'Logo',
+  },
+};
+
+const mockConfig = {
+  authnUrl: 'http://authn.example.com',
+  gatewayUrl: 'http://gateway.example.com',
+};
+
+const renderWithIntl = (component) => {
+  return render(
+    <IntlProvider locale="en" messages={{}}>
+      {component}
+    </IntlProvider>
+  );
+};
+
+describe('Logout', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    globalThis.location = {
+      assign: jest.fn(),
+    };
+  });
+
+  it('renders a progress message while logging out', () => {
+    useLogoutModule.default.mockReturnValue({ isLoggingOut: true, error: null });
+
+    renderWithIntl(<Logout branding={mockBranding} config={mockConfig} />);
+    screen.getByText(/Logout.loggingOut/);
+    expect(screen.queryByRole('button')).not.toBeInTheDocument();
+  });
+
+  it('renders FatalError when logout fails', () => {
+    useLogoutModule.default.mockReturnValue({ isLoggingOut: false, error: new Error('boom') });
+
+    renderWithIntl(<Logout branding={mockBranding} config={mockConfig} />);
+    screen.getByText('FatalError');
+  });
+
+  it('offers to log in again once logged out', async () => {
+    const user = userEvent.setup();
+    useLogoutModule.default.mockReturnValue({ isLoggingOut: false, error: null });
+
+    renderWithIntl(<Logout branding={mockBranding} config={mockConfig} />);
+    screen.getByText(/Logout.loggedOut/);
+
+    await user.click(screen.getByRole('button', { name: /Logout.button.login/ }));
+    expect(globalThis.location.assign).toHaveBeenCalledWith('/authn-login');
+  });
+
+  it('should render with no axe errors', async () => {
+    useLogoutModule.default.mockReturnValue({ isLoggingOut: false, error: null });
+
+    renderWithIntl(<Logout branding={mockBranding} config={mockConfig} />);
+    await runAxeTest({
+      rootNode: document.body,
+    });
+  });
+});
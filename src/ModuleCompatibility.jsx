@@ -0,0 +1,72 @@
+import { FormattedMessage } from 'react-intl';
+import PropTypes from 'prop-types';
+
+import useExcludedModules from './hooks/useExcludedModules';
+import FatalError from './FatalError';
+import { Col, Row } from './StripesComponents';
+import StripesTemplate from './StripesTemplate';
+import { brandingShape, configShape } from './constants';
+import styles from './index.module.css';
+
+/**
+ * ModuleCompatibility: route handler for /module-compatibility.
+ *
+ * For admins: list the UI modules left out of the last stripes load because
+ * the backend does not provide the interface versions they require, with
+ * the versions that are provided, if any.
+ */
+const ModuleCompatibility = ({ branding, config }) => {
+  const { isLoading, excludedModules, error } = useExcludedModules();
+
+  if (error) {
+    return <FatalError branding={branding} config={config} error={error} />;
+  }
+
+  return (
+    <StripesTemplate branding={branding}>
+      <Row center="xs">
+        <Col xs={12}>
+          <div data-testid="ModuleCompatibility">
+            <h1><FormattedMessage id="stripes-hub.ModuleCompatibility.headline" /></h1>
+            {!isLoading && excludedModules.length === 0 && (
+              <p><FormattedMessage id="stripes-hub.ModuleCompatibility.noneExcluded" /></p>
+            )}
+            {excludedModules.length > 0 && (
+              <table className={styles.compatibilityTable}>
+                <thead>
+                  <tr>
+                    <th scope="col"><FormattedMessage id="stripes-hub.ModuleCompatibility.module" /></th>
+                    <th scope="col"><FormattedMessage id="stripes-hub.ModuleCompatibility.interface" /></th>
+                    <th scope="col"><FormattedMessage id="stripes-hub.ModuleCompatibility.required" /></th>
+                    <th scope="col"><FormattedMessage id="stripes-hub.ModuleCompatibility.provided" /></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {excludedModules.flatMap(({ id, module, name, missingInterfaces }) => missingInterfaces.map((missing, index) => (
+                    <tr key={`${id}-${missing.id}`}>
+                      {index === 0 && <th scope="row" rowSpan={missingInterfaces.length}>{module ?? name}</th>}
+                      <td>{missing.id}</td>
+                      <td>{missing.required}</td>
+                      <td>
+                        {missing.provided.length > 0
+                          ? missing.provided.join(', ')
+                          : <FormattedMessage id="stripes-hub.ModuleCompatibility.notProvided" />}
+                      </td>
+                    </tr>
+                  )))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </Col>
+      </Row>
+    </StripesTemplate>
+  );
+};
+
+ModuleCompatibility.propTypes = {
+  branding: PropTypes.shape(brandingShape).isRequired,
+  config: PropTypes.shape(configShape).isRequired,
+};
+
+export default ModuleCompatibility;
@@ -0,0 +1,86 @@
+import { render, screen, within } from '@folio/jest-config-stripes/testing-library/react';
+import { IntlProvider } from 'react-intl';
+import { runAxeTest } from '@folio/stripes-testing';
+import ModuleCompatibility from './ModuleCompatibility';
+import * as useExcludedModulesModule from './hooks/useExcludedModules';
+
+jest.mock('./hooks/useExcludedModules');
+jest.mock('./FatalError', () => () => 'FatalError');
+
+const mockBranding = {
+  logo: {
+    src: 'http://logo.png',
+    alt: 'Logo',
+  },
+};
+
+const mockConfig = {
+  authnUrl: 'http://authn.example.com',
+  gatewayUrl: 'http://gateway.example.com',
+};
+
+const excludedModules = [
+  {
+    id: 'folio_inventory-14.0.0',
+    name: 'folio_inventory',
+    module: '@folio/inventory',
+    missingInterfaces: [
+      { id: 'holdings', required: '3.2', provided: ['3.1'] },
+      { id: 'instances', required: '2.0', provided: [] },
+    ],
+  },
+];
+
+const renderWithIntl = (component) => {
+  return render(
+    <IntlProvider locale="en" messages={{}}>
+      {component}
+    </IntlProvider>
+  );
+};
+
+describe('ModuleCompatibility', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('lists excluded modules and their missing interfaces', () => {
+    useExcludedModulesModule.default.mockReturnValue({ isLoading: false, excludedModules, error: null });
+
+    renderWithIntl(<ModuleCompatibility branding={mockBranding} config={mockConfig} />);
+    screen.getByText('stripes-hub.ModuleCompatibility.headline');
+    screen.getByRole('rowheader', { name: '@folio/inventory' });
+
+    const rows = screen.getAllByRole('row');
+    expect(rows).toHaveLength(3);
+    within(rows[1]).getByText('holdings');
+    within(rows[1]).getByText('3.2');
+    within(rows[1]).getByText('3.1');
+    within(rows[2]).getByText('instances');
+    within(rows[2]).getByText('stripes-hub.ModuleCompatibility.notProvided');
+  });
+
+  it('says when no modules were excluded', () => {
+    useExcludedModulesModule.default.mockReturnValue({ isLoading: false, excludedModules: [], error: null });
+
+    renderWithIntl(<ModuleCompatibility branding={mockBranding} config={mockConfig} />);
+    screen.getByText('stripes-hub.ModuleCompatibility.noneExcluded');
+    expect(screen.queryByRole('table')).not.toBeInTheDocument();
+  });
+
+  it('renders FatalError when the excluded modules cannot be retrieved', () => {
+    useExcludedModulesModule.default.mockReturnValue({ isLoading: false, excludedModules: [], error: new Error('boom') });
+
+    renderWithIntl(<ModuleCompatibility branding={mockBranding} config={mockConfig} />);
+    screen.getByText('FatalError');
+  });
+
+  it('should render with no axe errors', async () => {
+    useExcludedModulesModule.default.mockReturnValue({ isLoading: false, excludedModules, error: null });
+
+    renderWithIntl(<ModuleCompatibility branding={mockBranding} config={mockConfig} />);
+    await runAxeTest({
+      rootNode: document.body,
+    });
+  });
+});
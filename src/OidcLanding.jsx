@@ -3,6 +3,8 @@ import PropTypes from 'prop-types';
 
 import {
   getLoginTenant,
+  getSafeReturnPath,
+  getTenantConfig,
   getUnauthorizedPathFromSession,
   removeUnauthorizedPathFromSession,
   requestUserWithPerms,
@@ -11,7 +13,9 @@ import {
 } from './loginServices';
 
 import useExchangeCode from './hooks/useExchangeCode';
+import useSessionSync from './hooks/useSessionSync';
 import FatalError from './FatalError';
+import IdpError from './IdpError';
 import StripesTemplate from './StripesTemplate';
 
 /**
@@ -47,10 +51,10 @@ const OidcLanding = ({ branding, config }) => {
           return storeCurrentTenant(loginTenant.name, loginTenant.clientId);
         })
         .then(() => {
-          return requestUserWithPerms(config, loginTenant.name);
+          return requestUserWithPerms(getTenantConfig(config, loginTenant.name), loginTenant.name);
         }).then(() => {
           // upon successful session init, redirect to root for stripes-core to proceed with normal boot.
-          const redirectPath = getUnauthorizedPathFromSession() || '/';
+          const redirectPath = getSafeReturnPath(getUnauthorizedPathFromSession(), config);
           removeUnauthorizedPathFromSession();
 
           globalThis.location.replace(redirectPath);
@@ -59,6 +63,11 @@ const OidcLanding = ({ branding, config }) => {
   };
 
   const { error, isLoading, tokenData } = useExchangeCode(config, initSession);
+  useSessionSync();
+
+  if (error?.options?.idpError) {
+    return <IdpError branding={branding} config={config} error={error} />;
+  }
 
   if (error) {
     return <FatalError branding={branding} config={config} error={error} />;
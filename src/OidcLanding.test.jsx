@@ -8,6 +8,7 @@ import * as useExchangeCodeModule from './hooks/useExchangeCode';
 jest.mock('./loginServices');
 jest.mock('./hooks/useExchangeCode');
 jest.mock('./FatalError', () => () => 'FatalError');
+jest.mock('./IdpError', () => () => 'IdpError');
 
 const mockBranding = {
   logo: {
@@ -93,6 +94,21 @@ describe('OidcLanding', () => {
     screen.getByText(/FatalError/);
   });
 
+  it('renders IdpError when the provider returned an error', () => {
+    useExchangeCodeModule.default.mockReturnValue({
+      error: {
+        message: 'Authentication provider error: access_denied',
+        options: { idpError: 'access_denied' },
+      },
+      isLoading: false,
+      tokenData: null,
+    });
+
+    renderWithIntl(<OidcLanding branding={mockBranding} config={mockConfig} />);
+    screen.getByText(/IdpError/);
+    expect(screen.queryByText(/FatalError/)).not.toBeInTheDocument();
+  });
+
   it('initializes session with token data', async () => {
     const tokenData = {
       accessTokenExpiration: new Date().toISOString(),
@@ -119,6 +135,7 @@ describe('OidcLanding', () => {
     loginServices.storeCurrentTenant.mockResolvedValue(undefined);
     loginServices.requestUserWithPerms.mockResolvedValue(undefined);
     loginServices.getUnauthorizedPathFromSession.mockReturnValue('/dashboard');
+    loginServices.getSafeReturnPath.mockReturnValue('/dashboard');
     loginServices.removeUnauthorizedPathFromSession.mockImplementation();
 
     renderWithIntl(<OidcLanding branding={mockBranding} config={mockConfig} />);
@@ -127,6 +144,8 @@ describe('OidcLanding', () => {
       expect(loginServices.setTokenExpiry).toHaveBeenCalled();
       expect(loginServices.storeCurrentTenant).toHaveBeenCalledWith('diku', 'diku-app');
       expect(loginServices.requestUserWithPerms).toHaveBeenCalled();
+      expect(loginServices.getSafeReturnPath).toHaveBeenCalledWith('/dashboard', mockConfig);
+      expect(globalThis.location.replace).toHaveBeenCalledWith('/dashboard');
     });
   });
 
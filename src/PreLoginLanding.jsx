@@ -2,10 +2,12 @@ import { useState } from 'react';
 import { FormattedMessage, useIntl } from 'react-intl';
 import PropTypes from 'prop-types';
 
-import { Button, Col, FieldLabel, Row, Select } from './StripesComponents';
-import { getLoginUrl, getCurrentTenant } from './loginServices';
+import { Button, Col, FieldLabel, Row } from './StripesComponents';
+import TenantPicker from './components/TenantPicker/TenantPicker';
+import { getLoginUrl, getCurrentTenant, getRecentTenants } from './loginServices';
 import styles from './index.module.css';
 import StripesTemplate from './StripesTemplate';
+import useSessionSync from './hooks/useSessionSync';
 
 export function sortedTenantOptions(tenantOptions) {
   return Object.values(tenantOptions)
@@ -17,56 +19,109 @@ export function sortedTenantOptions(tenantOptions) {
     .map(i => ({ value: i.name, label: i.displayName ?? i.name }));
 }
 
+/**
+ * tenantPickerOptions
+ * sortedTenantOptions, with each tenant's search aliases
+ */
+export function tenantPickerOptions(tenantOptions) {
+  return sortedTenantOptions(tenantOptions)
+    .map(option => ({ ...option, aliases: tenantOptions[option.value].aliases ?? [] }));
+}
+
 function PreLoginLanding({ branding, config, onSelectTenant, tenantOptions }) {
   const intl = useIntl();
+  useSessionSync();
+
+  const options = tenantPickerOptions(tenantOptions);
+  const [recentTenants] = useState(getRecentTenants);
 
-  const options = sortedTenantOptions(tenantOptions);
+  // with only one tenant to offer, e.g. a host tenant with several identity
+  // providers, there is nothing to pick; go straight to the provider choice
+  const hasTenantChoice = options.length > 1;
+  const [tenantName, setTenantName] = useState(hasTenantChoice ? '' : options[0]?.value);
+  const identityProviders = tenantOptions[tenantName]?.identityProviders ?? [];
 
-  const redirectToLogin = () => {
+  const redirectToLogin = async (idpHint) => {
     const currentTenant = getCurrentTenant();
 
     if (!currentTenant?.name) return;
     if (config.authnUrl) {
-      globalThis.location.assign(getLoginUrl(config, currentTenant.name, currentTenant.clientId));
+      globalThis.location.assign(await getLoginUrl(config, currentTenant.name, currentTenant.clientId, { idpHint }));
     }
   };
 
-  const [isButtonDisabled, setIsButtonDisabled] = useState(true);
+  // Continue submits the form, so the keyboard works too; without
+  // preventDefault, the submission would reload the page, racing the redirect
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    // with several identity providers, the user must choose one
+    if (tenantName && identityProviders.length <= 1) {
+      redirectToLogin();
+    }
+  };
 
-  const handleChangeTenant = (e) => {
-    e.preventDefault();
-    const tenantName = e.target.value;
-    setIsButtonDisabled(!tenantName);
-    if (tenantName === '') {
+  const handleChangeTenant = (name) => {
+    setTenantName(name);
+    if (name === '') {
       onSelectTenant('', '');
       return;
     }
-    const clientId = tenantOptions[tenantName].clientId;
-    onSelectTenant(tenantName, clientId);
+    const clientId = tenantOptions[name].clientId;
+    onSelectTenant(name, clientId);
   };
 
   return (
     <StripesTemplate branding={branding}>
       <form
-        className={styles.hubForm} >
+        className={styles.hubForm}
+        onSubmit={handleSubmit}
+      >
         <Row center="xs">
           <Col xs={3}>
-            <FieldLabel htmlFor="tenantName">
-              <FormattedMessage id="stripes-hub.PreLoginLanding.tenantChoose" />
-            </FieldLabel>
-            <Select
-              defaultValue=""
-              onChange={handleChangeTenant}
-              dataOptions={[...options, { value: '', label: intl.formatMessage({ id: 'stripes-hub.PreLoginLanding.tenantLibrary' }) }]}
-              id="tenantName"
-            />
-            <Button
-              className={styles.hubButton}
-              disabled={isButtonDisabled}
-              onClick={redirectToLogin}
-            >
-              {intl.formatMessage({ id: 'stripes-hub.PreLoginLanding.button.continue' })}
-            </Button>
+            {hasTenantChoice && (
+              <>
+                <FieldLabel htmlFor="tenantName">
+                  <FormattedMessage id="stripes-hub.PreLoginLanding.tenantChoose" />
+                </FieldLabel>
+                <TenantPicker
+                  id="tenantName"
+                  onSelect={handleChangeTenant}
+                  placeholder={intl.formatMessage({ id: 'stripes-hub.PreLoginLanding.tenantLibrary' })}
+                  recentTenants={recentTenants}
+                  tenants={options}
+                />
+              </>
+            )}
+            {identityProviders.length > 1 ? (
+              <div
+                role="group"
+                aria-labelledby="identityProviders"
+                className={styles.identityProviders}
+              >
+                <span id="identityProviders" className={styles.label}>
+                  <FormattedMessage id="stripes-hub.PreLoginLanding.identityProviders" />
+                </span>
+                {identityProviders.map(({ alias, icon, label }) => (
+                  <Button
+                    key={alias}
+                    type="button"
+                    className={styles.hubButton}
+                    onClick={() => redirectToLogin(alias)}
+                  >
+                    {icon && <img src={icon} alt="" className={styles.identityProviderIcon} />}
+                    {label ?? alias}
+                  </Button>
+                ))}
+              </div>
+            ) : (
+              <Button
+                type="submit"
+                className={styles.hubButton}
+                disabled={!tenantName}
+              >
+                {intl.formatMessage({ id: 'stripes-hub.PreLoginLanding.button.continue' })}
+              </Button>
+            )}
           </Col>
         </Row>
       </form>
@@ -88,7 +143,15 @@ PreLoginLanding.propTypes = {
     authnUrl: PropTypes.string.isRequired,
   }).isRequired,
   onSelectTenant: PropTypes.func.isRequired,
-  tenantOptions: PropTypes.object.isRequired,
+  tenantOptions: PropTypes.objectOf(PropTypes.shape({
+    clientId: PropTypes.string.isRequired,
+    identityProviders: PropTypes.arrayOf(PropTypes.shape({
+      alias: PropTypes.string.isRequired,
+      icon: PropTypes.string,
+      label: PropTypes.string,
+    })),
+    name: PropTypes.string.isRequired,
+  })).isRequired,
 };
 
 export default PreLoginLanding;
@@ -2,7 +2,7 @@ import { render, screen } from '@folio/jest-config-stripes/testing-library/react
 import userEvent from '@folio/jest-config-stripes/testing-library/user-event'
 import { IntlProvider } from 'react-intl';
 import { runAxeTest } from '@folio/stripes-testing';
-import PreLoginLanding, { sortedTenantOptions } from './PreLoginLanding';
+import PreLoginLanding, { sortedTenantOptions, tenantPickerOptions } from './PreLoginLanding';
 import * as loginServices from './loginServices';
 
 jest.mock('./loginServices');
@@ -38,6 +38,11 @@ const renderWithIntl = (component) => {
   );
 };
 
+const chooseTenant = async (user, label) => {
+  await user.type(screen.getByRole('combobox'), label.slice(0, 3));
+  await user.click(screen.getByRole('option', { name: label }));
+};
+
 describe('PreLoginLanding', () => {
   beforeEach(() => {
     jest.clearAllMocks();
@@ -60,8 +65,8 @@ describe('PreLoginLanding', () => {
       />
     );
 
-    const select = screen.getByRole('combobox');
-    expect(select).toBeInTheDocument();
+    const picker = screen.getByRole('combobox');
+    expect(picker).toBeInTheDocument();
   });
 
   it('renders continue button disabled by default', () => {
@@ -95,7 +100,7 @@ describe('PreLoginLanding', () => {
 
     const button = screen.getByRole('button');
     expect(button).toBeDisabled();
-    await user.selectOptions(screen.getByRole('combobox'), ['diku'])
+    await chooseTenant(user, 'Diku');
     expect(button).not.toBeDisabled();
   });
 
@@ -115,9 +120,9 @@ describe('PreLoginLanding', () => {
 
     const button = screen.getByRole('button');
     expect(button).toBeDisabled();
-    await user.selectOptions(screen.getByRole('combobox'), ['diku'])
+    await chooseTenant(user, 'Diku');
     expect(button).not.toBeDisabled();
-    await user.selectOptions(screen.getByRole('combobox'), [''])
+    await user.clear(screen.getByRole('combobox'));
     expect(button).toBeDisabled();
     expect(mockOnSelectTenant).toHaveBeenCalledWith('', '');
   });
@@ -137,7 +142,7 @@ describe('PreLoginLanding', () => {
     );
 
     const button = screen.getByRole('button');
-    await user.selectOptions(screen.getByRole('combobox'), ['diku'])
+    await chooseTenant(user, 'Diku');
     expect(mockOnSelectTenant).toHaveBeenCalledWith('diku', 'diku-app');
     expect(button).not.toBeDisabled();
   });
@@ -156,8 +161,27 @@ describe('PreLoginLanding', () => {
       />
     );
 
-    await user.selectOptions(screen.getByRole('combobox'), [''])
-    expect(mockOnSelectTenant).toHaveBeenCalledWith('', '');
+    await chooseTenant(user, 'Diku');
+    await user.clear(screen.getByRole('combobox'));
+    expect(mockOnSelectTenant).toHaveBeenLastCalledWith('', '');
+  });
+
+  it('pins recently used tenants to the top of the list', async () => {
+    const user = userEvent.setup();
+    loginServices.getCurrentTenant.mockReturnValue(null);
+    loginServices.getRecentTenants.mockReturnValue(['supertenant']);
+
+    renderWithIntl(
+      <PreLoginLanding
+        branding={mockBranding}
+        config={mockConfig}
+        onSelectTenant={jest.fn()}
+        tenantOptions={mockTenantOptions}
+      />
+    );
+
+    await user.click(screen.getByRole('combobox'));
+    expect(screen.getAllByRole('option')[0]).toHaveTextContent('Supertenant');
   });
 
   it('redirects to login when button is clicked with selected tenant', async () => {
@@ -169,7 +193,7 @@ describe('PreLoginLanding', () => {
       name: 'diku',
       clientId: 'diku-app',
     });
-    loginServices.getLoginUrl.mockReturnValue(redirectTo);
+    loginServices.getLoginUrl.mockResolvedValue(redirectTo);
 
     renderWithIntl(
       <PreLoginLanding
@@ -180,11 +204,71 @@ describe('PreLoginLanding', () => {
       />
     );
 
-    await user.selectOptions(screen.getByRole('combobox'), ['diku'])
+    await chooseTenant(user, 'Diku');
     await user.click(screen.getByRole('button'));
     expect(globalThis.window.location.assign).toHaveBeenCalledWith(redirectTo);
   });
 
+  it('redirects without submitting the form to the server', async () => {
+    const user = userEvent.setup();
+    globalThis.location = {
+      assign: jest.fn(),
+    };
+    loginServices.getCurrentTenant.mockReturnValue({ name: 'diku', clientId: 'diku-app' });
+    loginServices.getLoginUrl.mockResolvedValue('http://login.example.com');
+
+    renderWithIntl(
+      <PreLoginLanding
+        branding={mockBranding}
+        config={mockConfig}
+        onSelectTenant={jest.fn()}
+        tenantOptions={mockTenantOptions}
+      />
+    );
+
+    const button = screen.getByRole('button', { name: 'Continue' });
+    const submissions = [];
+    button.form.addEventListener('submit', (event) => submissions.push(event));
+
+    await chooseTenant(user, 'Diku');
+    await user.click(button);
+    expect(submissions).toHaveLength(1);
+    expect(submissions[0].defaultPrevented).toBe(true);
+    expect(globalThis.location.assign).toHaveBeenCalledWith('http://login.example.com');
+  });
+
+  it('picks a tenant and logs in with the keyboard alone', async () => {
+    const user = userEvent.setup();
+    globalThis.location = {
+      assign: jest.fn(),
+    };
+    loginServices.getCurrentTenant.mockReturnValue({ name: 'diku', clientId: 'diku-app' });
+    loginServices.getLoginUrl.mockResolvedValue('http://login.example.com');
+    const mockOnSelectTenant = jest.fn();
+
+    renderWithIntl(
+      <PreLoginLanding
+        branding={mockBranding}
+        config={mockConfig}
+        onSelectTenant={mockOnSelectTenant}
+        tenantOptions={mockTenantOptions}
+      />
+    );
+
+    const submissions = [];
+    screen.getByRole('button', { name: 'Continue' }).form.addEventListener('submit', (event) => submissions.push(event));
+
+    await user.click(screen.getByRole('combobox'));
+    await user.keyboard('Dik{ArrowDown}{Enter}');
+    expect(mockOnSelectTenant).toHaveBeenCalledWith('diku', 'diku-app');
+    expect(globalThis.location.assign).not.toHaveBeenCalled();
+
+    await user.keyboard('{Enter}');
+    expect(submissions).toHaveLength(1);
+    expect(submissions[0].defaultPrevented).toBe(true);
+    expect(globalThis.location.assign).toHaveBeenCalledWith('http://login.example.com');
+  });
+
   it('does not redirect when getCurrentTenant returns no name', async () => {
     const user = userEvent.setup();
     const mockOnSelectTenant = jest.fn();
@@ -201,10 +285,89 @@ describe('PreLoginLanding', () => {
       />
     );
 
-    await user.selectOptions(screen.getByRole('combobox'), ['diku'])
+    await chooseTenant(user, 'Diku');
     await user.click(screen.getByRole('button'));
     expect(globalThis.window.location.assign).not.toHaveBeenCalled();
   });
+
+  describe('identity providers', () => {
+    const identityProviders = [
+      { alias: 'saml', label: 'Campus login', icon: 'http://campus.png' },
+      { alias: 'keycloak', label: 'Library account' },
+    ];
+
+    beforeEach(() => {
+      globalThis.location = {
+        assign: jest.fn(),
+      };
+      loginServices.getCurrentTenant.mockReturnValue({ name: 'diku', clientId: 'diku-app' });
+      loginServices.getLoginUrl.mockResolvedValue('http://login.example.com');
+    });
+
+    it('renders a button per identity provider once the tenant is chosen', async () => {
+      const user = userEvent.setup();
+      renderWithIntl(
+        <PreLoginLanding
+          branding={mockBranding}
+          config={mockConfig}
+          onSelectTenant={jest.fn()}
+          tenantOptions={{ ...mockTenantOptions, diku: { ...mockTenantOptions.diku, identityProviders } }}
+        />
+      );
+
+      await chooseTenant(user, 'Diku');
+      expect(screen.queryByRole('button', { name: 'Continue' })).not.toBeInTheDocument();
+
+      await user.click(screen.getByRole('button', { name: 'Library account' }));
+      expect(loginServices.getLoginUrl).toHaveBeenCalledWith(mockConfig, 'diku', 'diku-app', { idpHint: 'keycloak' });
+      expect(globalThis.location.assign).toHaveBeenCalledWith('http://login.example.com');
+    });
+
+    it('skips the tenant picker when there is only one tenant', () => {
+      renderWithIntl(
+        <PreLoginLanding
+          branding={mockBranding}
+          config={mockConfig}
+          onSelectTenant={jest.fn()}
+          tenantOptions={{ diku: { ...mockTenantOptions.diku, identityProviders } }}
+        />
+      );
+
+      expect(screen.queryByRole('combobox')).not.toBeInTheDocument();
+      screen.getByRole('group', { name: 'stripes-hub.PreLoginLanding.identityProviders' });
+      screen.getByRole('button', { name: 'Campus login' });
+    });
+
+    it('keeps the continue button for a single identity provider', async () => {
+      const user = userEvent.setup();
+      renderWithIntl(
+        <PreLoginLanding
+          branding={mockBranding}
+          config={mockConfig}
+          onSelectTenant={jest.fn()}
+          tenantOptions={{ ...mockTenantOptions, diku: { ...mockTenantOptions.diku, identityProviders: identityProviders.slice(0, 1) } }}
+        />
+      );
+
+      await chooseTenant(user, 'Diku');
+      await user.click(screen.getByRole('button', { name: 'Continue' }));
+      expect(loginServices.getLoginUrl).toHaveBeenCalledWith(mockConfig, 'diku', 'diku-app', { idpHint: undefined });
+    });
+  });
+});
+
+describe('tenantPickerOptions', () => {
+  it('adds search aliases to the sorted options', () => {
+    const tenants = {
+      diku: { name: 'diku', clientId: 'diku-app', displayName: 'Diku', aliases: ['Opentown'] },
+      alpha: { name: 'alpha', clientId: 'alpha-app', displayName: 'Alpha' },
+    };
+
+    expect(tenantPickerOptions(tenants)).toEqual([
+      { value: 'alpha', label: 'Alpha', aliases: [] },
+      { value: 'diku', label: 'Diku', aliases: ['Opentown'] },
+    ]);
+  });
 });
 
 describe('sortedTenantOptions', () => {
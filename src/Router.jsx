@@ -5,6 +5,9 @@ import StripesHub from './StripesHub';
 import OidcLanding from './OidcLanding';
 import ForgotPassword from './ForgotPassword';
 import ForgotUsername from './ForgotUsername';
+import Logout from './Logout';
+import ModuleCompatibility from './ModuleCompatibility';
+import SessionExpired from './SessionExpired';
 import ResetPasswordControl from './components/ResetPassword/ResetPasswordControl';
 import { urlPaths } from './constants';
 
@@ -34,6 +37,12 @@ const Router = ({ config, branding, location }) => {
       return <ResetPasswordControl {...props} />;
     case urlPaths.OIDC_LANDING:
       return <OidcLanding {...props} />;
+    case urlPaths.LOGOUT:
+      return <Logout {...props} />;
+    case urlPaths.MODULE_COMPATIBILITY:
+      return <ModuleCompatibility {...props} />;
+    case urlPaths.SESSION_EXPIRED:
+      return <SessionExpired {...props} />;
     default:
       return <StripesHub {...props} />;
   }
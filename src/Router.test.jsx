@@ -4,6 +4,9 @@ import StripesHub from './StripesHub';
 import OidcLanding from './OidcLanding';
 import ForgotPassword from './ForgotPassword';
 import ForgotUsername from './ForgotUsername';
+import Logout from './Logout';
+import ModuleCompatibility from './ModuleCompatibility';
+import SessionExpired from './SessionExpired';
 import { urlPaths } from './constants';
 
 jest.mock('./AuthnLogin');
@@ -11,6 +14,9 @@ jest.mock('./StripesHub');
 jest.mock('./OidcLanding');
 jest.mock('./ForgotPassword');
 jest.mock('./ForgotUsername');
+jest.mock('./Logout');
+jest.mock('./ModuleCompatibility');
+jest.mock('./SessionExpired');
 
 describe('Router', () => {
   const mockConfig = { test: 'config' };
@@ -44,6 +50,24 @@ describe('Router', () => {
     expect(component.type).toBe(OidcLanding);
   });
 
+  it('should render Logout component for LOGOUT path', () => {
+    const component = Router({ config: mockConfig, branding: mockBranding, location: { pathname: `/${urlPaths.LOGOUT}` } });
+    expect(component).toBeDefined();
+    expect(component.type).toBe(Logout);
+  });
+
+  it('should render ModuleCompatibility component for MODULE_COMPATIBILITY path', () => {
+    const component = Router({ config: mockConfig, branding: mockBranding, location: { pathname: `/${urlPaths.MODULE_COMPATIBILITY}` } });
+    expect(component).toBeDefined();
+    expect(component.type).toBe(ModuleCompatibility);
+  });
+
+  it('should render SessionExpired component for SESSION_EXPIRED path', () => {
+    const component = Router({ config: mockConfig, branding: mockBranding, location: { pathname: `/${urlPaths.SESSION_EXPIRED}` } });
+    expect(component).toBeDefined();
+    expect(component.type).toBe(SessionExpired);
+  });
+
   it('should render StripesHub component for default/unknown path', () => {
     const component = Router({ config: mockConfig, branding: mockBranding, location: { pathname: '/unknown-path' } });
     expect(component).toBeDefined();
@@ -0,0 +1,68 @@
+import { FormattedMessage } from 'react-intl';
+import PropTypes from 'prop-types';
+
+import useSessionSync from './hooks/useSessionSync';
+import { getCurrentTenant, getLoginUrl } from './loginServices';
+import { Button, Col, Row } from './StripesComponents';
+import StripesTemplate from './StripesTemplate';
+import { brandingShape, configShape, urlPaths } from './constants';
+import styles from './index.module.css';
+
+/**
+ * SessionExpired: route handler for /session-expired.
+ *
+ * useInitSession sends the user here, having saved the path they were on,
+ * when a session it found in storage turns out to have expired. Explain
+ * that, and offer to log in to the same tenant again; OidcLanding then
+ * returns to the saved path.
+ */
+const SessionExpired = ({ branding, config }) => {
+  // a login in another tab makes logging in here unnecessary
+  useSessionSync();
+
+  const tenant = getCurrentTenant();
+  const tenantName = config.tenantOptions?.[tenant?.name]?.displayName ?? tenant?.name;
+
+  const handleLogin = async (event) => {
+    event.preventDefault();
+    if (tenant?.name && tenant?.clientId) {
+      globalThis.location.assign(await getLoginUrl(config, tenant.name, tenant.clientId));
+    } else {
+      globalThis.location.assign(`/${urlPaths.AUTHN_LOGIN}`);
+    }
+  };
+
+  return (
+    <StripesTemplate branding={branding}>
+      <Row center="xs">
+        <Col xs={12}>
+          <div data-testid="SessionExpired">
+            <h1><FormattedMessage id="stripes-hub.SessionExpired.headline" /></h1>
+            <p>
+              {tenantName
+                ? <FormattedMessage id="stripes-hub.SessionExpired.message" values={{ tenant: tenantName }} />
+                : <FormattedMessage id="stripes-hub.SessionExpired.messageNoTenant" />}
+            </p>
+            <Button
+              type="button"
+              className={styles.hubButton}
+              onClick={handleLogin}
+            >
+              <FormattedMessage id="stripes-hub.SessionExpired.button.login" />
+            </Button>
+          </div>
+        </Col>
+      </Row>
+    </StripesTemplate>
+  );
+};
+
+SessionExpired.propTypes = {
+  branding: PropTypes.shape(brandingShape).isRequired,
+  config: PropTypes.shape({
+    ...configShape,
+    tenantOptions: PropTypes.object,
+  }).isRequired,
+};
+
+export default SessionExpired;
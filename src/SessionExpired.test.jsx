@@ -0,0 +1,82 @@
+import { render, screen, waitFor } from '@folio/jest-config-stripes/testing-library/react';
+import userEvent from '@folio/jest-config-stripes/testing-library/user-event';
+import { IntlProvider } from 'react-intl';
+import { runAxeTest } from '@folio/stripes-testing';
+import SessionExpired from './SessionExpired';
+import * as loginServices from './loginServices';
+
+jest.mock('./loginServices');
+jest.mock('./hooks/useSessionSync');
+
+const mockBranding = {
+  logo: {
+    src: 'http://logo.png',
+    alt: 'Logo',
+  },
+};
+
+const mockConfig = {
+  authnUrl: 'http://authn.example.com',
+  gatewayUrl: 'http://gateway.example.com',
+  tenantOptions: {
+    diku: { name: 'diku', clientId: 'diku-app', displayName: 'Diku University' },
+  },
+};
+
+const renderWithIntl = (component) => {
+  return render(
+    <IntlProvider locale="en" messages={{}}>
+      {component}
+    </IntlProvider>
+  );
+};
+
+describe('SessionExpired', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    globalThis.location = {
+      assign: jest.fn(),
+    };
+  });
+
+  it('names the tenant the user was logged out of', () => {
+    loginServices.getCurrentTenant.mockReturnValue({ name: 'diku', clientId: 'diku-app' });
+
+    renderWithIntl(<SessionExpired branding={mockBranding} config={mockConfig} />);
+    screen.getByText('stripes-hub.SessionExpired.headline');
+    screen.getByText('stripes-hub.SessionExpired.message');
+  });
+
+  it('logs in to the same tenant again', async () => {
+    const user = userEvent.setup();
+    loginServices.getCurrentTenant.mockReturnValue({ name: 'diku', clientId: 'diku-app' });
+    loginServices.getLoginUrl.mockResolvedValue('http://login.example.com/diku');
+
+    renderWithIntl(<SessionExpired branding={mockBranding} config={mockConfig} />);
+    await user.click(screen.getByRole('button'));
+
+    expect(loginServices.getLoginUrl).toHaveBeenCalledWith(mockConfig, 'diku', 'diku-app');
+    await waitFor(() => expect(globalThis.location.assign).toHaveBeenCalledWith('http://login.example.com/diku'));
+  });
+
+  it('falls back to the login page without a tenant', async () => {
+    const user = userEvent.setup();
+    loginServices.getCurrentTenant.mockReturnValue(undefined);
+
+    renderWithIntl(<SessionExpired branding={mockBranding} config={mockConfig} />);
+    screen.getByText('stripes-hub.SessionExpired.messageNoTenant');
+    await user.click(screen.getByRole('button'));
+
+    expect(loginServices.getLoginUrl).not.toHaveBeenCalled();
+    expect(globalThis.location.assign).toHaveBeenCalledWith('/authn-login');
+  });
+
+  it('should render with no axe errors', async () => {
+    loginServices.getCurrentTenant.mockReturnValue({ name: 'diku', clientId: 'diku-app' });
+
+    renderWithIntl(<SessionExpired branding={mockBranding} config={mockConfig} />);
+    await runAxeTest({
+      rootNode: document.body,
+    });
+  });
+});
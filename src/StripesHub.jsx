@@ -2,41 +2,84 @@ import PropTypes from 'prop-types';
 import { FormattedMessage } from 'react-intl';
 
 import useInitSession from './hooks/useInitSession';
+import useSessionSync from './hooks/useSessionSync';
 import { urlPaths } from './constants';
+import AffiliationSelection from './AffiliationSelection';
+import ModuleOverridesBanner from './components/ModuleOverridesBanner/ModuleOverridesBanner';
 import FatalError from './FatalError';
 import { Col, Row } from './StripesComponents';
 import StripesTemplate from './StripesTemplate';
 
 function StripesHub({ branding, config }) {
   const {
+    affiliations,
+    defaultAffiliation,
+    isLoadingAffiliations,
+    selectAffiliation,
     isLoadingDiscovery,
     discoveryError,
     isLoadingEntitlement,
     entitlementError,
     isLoadingStripes,
     stripesError,
+    isStripesLoaded,
     isLoadingSession,
     sessionError,
+    moduleOverrides = {},
+    hasLocalModuleOverrides,
+    resetModuleOverrides,
   } = useInitSession(config, branding, urlPaths.AUTHN_LOGIN);
 
+  // once stripes is running it keeps its own tabs in sync
+  useSessionSync({ enabled: !isStripesLoaded });
+
+  // overrides stay on top of stripes once it has loaded
+  const banner = (
+    <ModuleOverridesBanner
+      overrides={moduleOverrides}
+      canReset={hasLocalModuleOverrides}
+      onReset={resetModuleOverrides}
+    />
+  );
+
   if (discoveryError || entitlementError || stripesError || sessionError) {
     const error = discoveryError || entitlementError || stripesError || sessionError;
-    return <FatalError branding={branding} config={config} error={error} />;
+    return (
+      <>
+        {banner}
+        <FatalError branding={branding} config={config} error={error} />
+      </>
+    );
+  }
+
+  if (affiliations) {
+    return (
+      <AffiliationSelection
+        affiliations={affiliations}
+        branding={branding}
+        defaultAffiliation={defaultAffiliation}
+        onSelect={selectAffiliation}
+      />
+    );
   }
 
   return (
-    <StripesTemplate branding={branding}>
-      <Row center="xs">
-        <Col xs={12}>
-          <div data-testid="StripesHub">
-            {isLoadingEntitlement && <h1><FormattedMessage id="stripes-hub.StripesHub.loadingEntitlements" /></h1>}
-            {isLoadingDiscovery && <h1><FormattedMessage id="stripes-hub.StripesHub.loadingDiscovery" /></h1>}
-            {isLoadingSession && <h1><FormattedMessage id="stripes-hub.StripesHub.loadingSession" /></h1>}
-            {isLoadingStripes && <h1><FormattedMessage id="stripes-hub.StripesHub.loadingStripes" /></h1>}
-          </div>
-        </Col>
-      </Row>
-    </StripesTemplate>
+    <>
+      {banner}
+      <StripesTemplate branding={branding}>
+        <Row center="xs">
+          <Col xs={12}>
+            <div data-testid="StripesHub">
+              {isLoadingEntitlement && <h1><FormattedMessage id="stripes-hub.StripesHub.loadingEntitlements" /></h1>}
+              {isLoadingDiscovery && <h1><FormattedMessage id="stripes-hub.StripesHub.loadingDiscovery" /></h1>}
+              {isLoadingSession && <h1><FormattedMessage id="stripes-hub.StripesHub.loadingSession" /></h1>}
+              {isLoadingAffiliations && <h1><FormattedMessage id="stripes-hub.StripesHub.loadingAffiliations" /></h1>}
+              {isLoadingStripes && <h1><FormattedMessage id="stripes-hub.StripesHub.loadingStripes" /></h1>}
+            </div>
+          </Col>
+        </Row>
+      </StripesTemplate>
+    </>
   );
 }
 
@@ -44,6 +87,7 @@ StripesHub.propTypes = {
   config: PropTypes.shape({
     gatewayUrl: PropTypes.string.isRequired,
     authnUrl: PropTypes.string.isRequired,
+    affiliationsUrl: PropTypes.string,
     discoveryUrl: PropTypes.string,
     tenantOptions: PropTypes.object.isRequired,
     preserveConsole: PropTypes.bool,
@@ -232,4 +232,52 @@ describe('StripesHub', () => {
     });
   });
 
+  it('shows affiliation selection', async () => {
+    useInitSession.default.mockReturnValue({
+      affiliations: [
+        { tenantId: 'diku', tenantName: 'Diku', isPrimary: true },
+        { tenantId: 'fs09', tenantName: 'FS09', isPrimary: false },
+      ],
+      defaultAffiliation: 'fs09',
+      selectAffiliation: jest.fn(),
+      isLoadingSession: false,
+      sessionError: null,
+    });
+
+    render(
+      <QueryClientProvider client={reactQueryClient}>
+        <IntlProvider locale="en">
+          <StripesHub branding={branding} config={config} />
+        </IntlProvider>
+      </QueryClientProvider>
+    );
+
+    await waitFor(() => {
+      screen.getByTestId('AffiliationSelection');
+    });
+  });
+
+  it('shows a banner while module overrides are active', async () => {
+    const resetModuleOverrides = jest.fn();
+    useInitSession.default.mockReturnValue({
+      isLoadingStripes: true,
+      moduleOverrides: { folio_users: 'http://localhost:3001' },
+      hasLocalModuleOverrides: true,
+      resetModuleOverrides,
+    });
+
+    render(
+      <QueryClientProvider client={reactQueryClient}>
+        <IntlProvider locale="en">
+          <StripesHub branding={branding} config={config} />
+        </IntlProvider>
+      </QueryClientProvider>
+    );
+
+    await waitFor(() => {
+      screen.getByTestId('ModuleOverridesBanner');
+    });
+    screen.getByRole('button', { name: /ModuleOverridesBanner.button.reset/ }).click();
+    expect(resetModuleOverrides).toHaveBeenCalled();
+  });
 });
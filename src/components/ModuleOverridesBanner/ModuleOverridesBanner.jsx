@@ -0,0 +1,42 @@
+import { FormattedMessage } from 'react-intl';
+import PropTypes from 'prop-types';
+
+import { Button } from '../../StripesComponents';
+import styles from './ModuleOverridesBanner.module.css';
+
+/**
+ * ModuleOverridesBanner
+ * Make it obvious that some modules are not being loaded from where
+ * discovery says they are, listing each override, with a button to discard
+ * those set locally; overrides in config stay until the config changes.
+ */
+const ModuleOverridesBanner = ({ canReset, onReset, overrides }) => {
+  const entries = Object.entries(overrides);
+  if (entries.length === 0) return null;
+
+  return (
+    <div role="status" className={styles.banner} data-testid="ModuleOverridesBanner">
+      <strong><FormattedMessage id="stripes-hub.ModuleOverridesBanner.active" /></strong>
+      <ul className={styles.overrides}>
+        {entries.map(([module, location]) => (
+          <li key={module}>
+            <FormattedMessage id="stripes-hub.ModuleOverridesBanner.override" values={{ module, location }} />
+          </li>
+        ))}
+      </ul>
+      {canReset && (
+        <Button type="button" className={styles.reset} onClick={onReset}>
+          <FormattedMessage id="stripes-hub.ModuleOverridesBanner.button.reset" />
+        </Button>
+      )}
+    </div>
+  );
+};
+
+ModuleOverridesBanner.propTypes = {
+  canReset: PropTypes.bool,
+  onReset: PropTypes.func.isRequired,
+  overrides: PropTypes.objectOf(PropTypes.string).isRequired,
+};
+
+export default ModuleOverridesBanner;
@@ -0,0 +1,49 @@
+import { render, screen } from '@folio/jest-config-stripes/testing-library/react';
+import userEvent from '@folio/jest-config-stripes/testing-library/user-event';
+import { IntlProvider } from 'react-intl';
+import { runAxeTest } from '@folio/stripes-testing';
+
+import ModuleOverridesBanner from './ModuleOverridesBanner';
+
+const overrides = {
+  folio_users: 'http://localhost:3001',
+  folio_inventory: 'http://localhost:3002',
+};
+
+const renderWithIntl = (component) => {
+  return render(
+    <IntlProvider locale="en" messages={{}}>
+      {component}
+    </IntlProvider>
+  );
+};
+
+describe('ModuleOverridesBanner', () => {
+  it('renders nothing without overrides', () => {
+    renderWithIntl(<ModuleOverridesBanner overrides={{}} onReset={jest.fn()} canReset />);
+    expect(screen.queryByTestId('ModuleOverridesBanner')).not.toBeInTheDocument();
+  });
+
+  it('lists the overrides', () => {
+    renderWithIntl(<ModuleOverridesBanner overrides={overrides} onReset={jest.fn()} />);
+    screen.getByText('stripes-hub.ModuleOverridesBanner.active');
+    expect(screen.getAllByRole('listitem')).toHaveLength(2);
+    expect(screen.queryByRole('button')).not.toBeInTheDocument();
+  });
+
+  it('resets local overrides', async () => {
+    const user = userEvent.setup();
+    const onReset = jest.fn();
+    renderWithIntl(<ModuleOverridesBanner overrides={overrides} onReset={onReset} canReset />);
+
+    await user.click(screen.getByRole('button', { name: 'stripes-hub.ModuleOverridesBanner.button.reset' }));
+    expect(onReset).toHaveBeenCalled();
+  });
+
+  it('should render with no axe errors', async () => {
+    renderWithIntl(<ModuleOverridesBanner overrides={overrides} onReset={jest.fn()} canReset />);
+    await runAxeTest({
+      rootNode: document.body,
+    });
+  });
+});
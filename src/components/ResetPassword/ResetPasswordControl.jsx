@@ -1,7 +1,7 @@
 import { Component } from 'react';
 import PropTypes from 'prop-types';
 
-import { processBadResponse } from '../../loginServices';
+import { getTenantConfig, processBadResponse } from '../../loginServices';
 import { defaultErrors } from '../../constants';
 import { OrganizationLogo } from '../../StripesComponents';
 
@@ -79,10 +79,10 @@ class ResetPasswordControl extends Component {
       location,
     } = this.props;
     const { isValidToken } = this.state;
-    const { gatewayUrl } = config;
 
     const params = new URLSearchParams(location.search);
     const tenant = params.get('tenant');
+    const { gatewayUrl } = getTenantConfig(config, tenant);
     const urlPaths = location.pathname.split('/').slice(1); // split path into parts and remove leading empty string
     const token = urlPaths?.length > 1 ? urlPaths[1] : ''; // grab the token from the URL path (if it exists there)
 
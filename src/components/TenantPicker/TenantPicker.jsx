@@ -0,0 +1,184 @@
+import {
+  useEffect,
+  useState,
+} from 'react';
+import { FormattedMessage, useIntl } from 'react-intl';
+import PropTypes from 'prop-types';
+
+import styles from './TenantPicker.module.css';
+
+/**
+ * matchTenants
+ * Return the tenants whose value, label or aliases contain query, ignoring
+ * case, with recently used tenants pinned to the top in order of recency.
+ *
+ * @param {object[]} tenants shaped like { value, label, aliases }, in display order
+ * @param {string} query
+ * @param {string[]} recentTenants tenant names, most recent first
+ * @returns {object[]} matching tenants, each with an isRecent flag
+ */
+export const matchTenants = (tenants, query, recentTenants = []) => {
+  const needle = query.trim().toLowerCase();
+  const matches = tenants.filter(({ value, label, aliases = [] }) => (
+    [value, label, ...aliases].some(term => term?.toLowerCase().includes(needle))
+  ));
+
+  const recent = recentTenants
+    .map(name => matches.find(tenant => tenant.value === name))
+    .filter(Boolean)
+    .map(tenant => ({ ...tenant, isRecent: true }));
+
+  return [...recent, ...matches.filter(tenant => !recentTenants.includes(tenant.value))];
+};
+
+/**
+ * TenantPicker
+ * Type-ahead tenant search, following the WAI-ARIA combobox pattern: focus
+ * stays in the text field while the arrow keys move through the matching
+ * options, Enter chooses one, and Escape closes the list or clears the field.
+ */
+const TenantPicker = ({ id, onSelect, placeholder, recentTenants = [], tenants }) => {
+  const intl = useIntl();
+
+  const [query, setQuery] = useState('');
+  const [selectedValue, setSelectedValue] = useState('');
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+
+  const listboxId = `${id}-listbox`;
+  const optionId = (value) => `${id}-option-${value}`;
+
+  const matches = matchTenants(tenants, query, recentTenants);
+  const activeOption = isOpen ? matches[activeIndex] : undefined;
+  const activeOptionId = activeOption ? optionId(activeOption.value) : undefined;
+
+  // keep the active option visible in a long, scrolling list
+  useEffect(() => {
+    if (activeOptionId) {
+      document.getElementById(activeOptionId)?.scrollIntoView?.({ block: 'nearest' });
+    }
+  }, [activeOptionId]);
+
+  const select = (value) => {
+    if (value !== selectedValue) {
+      setSelectedValue(value);
+      onSelect(value);
+    }
+  };
+
+  const choose = (tenant) => {
+    setQuery(tenant.label);
+    setIsOpen(false);
+    setActiveIndex(-1);
+    select(tenant.value);
+  };
+
+  const handleChange = (event) => {
+    setQuery(event.target.value);
+    setIsOpen(true);
+    setActiveIndex(-1);
+    select('');
+  };
+
+  const handleKeyDown = (event) => {
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault();
+        setIsOpen(true);
+        setActiveIndex(index => (matches.length ? (index + 1) % matches.length : -1));
+        break;
+      case 'ArrowUp':
+        event.preventDefault();
+        setIsOpen(true);
+        setActiveIndex(index => (index <= 0 ? matches.length - 1 : index - 1));
+        break;
+      case 'Enter':
+        if (activeOption) {
+          event.preventDefault();
+          choose(activeOption);
+        } else if (!selectedValue) {
+          // nothing chosen yet, so nothing to submit. once a tenant has been
+          // chosen, Enter submits the surrounding form as usual.
+          event.preventDefault();
+        }
+        break;
+      case 'Escape':
+        if (isOpen) {
+          setIsOpen(false);
+          setActiveIndex(-1);
+        } else {
+          setQuery('');
+          select('');
+        }
+        break;
+      default:
+        break;
+    }
+  };
+
+  return (
+    <div className={styles.tenantPicker}>
+      <input
+        id={id}
+        type="text"
+        role="combobox"
+        className={styles.input}
+        value={query}
+        placeholder={placeholder}
+        autoComplete="off"
+        aria-autocomplete="list"
+        aria-expanded={isOpen}
+        aria-controls={listboxId}
+        aria-activedescendant={activeOptionId}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onClick={() => setIsOpen(true)}
+        onBlur={() => setIsOpen(false)}
+      />
+      <ul
+        id={listboxId}
+        role="listbox"
+        aria-label={intl.formatMessage({ id: 'stripes-hub.TenantPicker.options' })}
+        className={styles.listbox}
+        hidden={!isOpen || matches.length === 0}
+      >
+        {matches.map((tenant, index) => (
+          <li
+            key={tenant.value}
+            id={optionId(tenant.value)}
+            role="option"
+            aria-selected={index === activeIndex}
+            className={index === activeIndex ? `${styles.option} ${styles.active}` : styles.option}
+            // keep focus in the text field when an option is clicked
+            onMouseDown={(event) => event.preventDefault()}
+            onClick={() => choose(tenant)}
+          >
+            {tenant.label}
+            {tenant.isRecent && (
+              <span className={styles.recent}>
+                <FormattedMessage id="stripes-hub.TenantPicker.recent" />
+              </span>
+            )}
+          </li>
+        ))}
+      </ul>
+      <div role="status" className={styles.srOnly}>
+        {isOpen && <FormattedMessage id="stripes-hub.TenantPicker.matches" values={{ count: matches.length }} />}
+      </div>
+    </div>
+  );
+};
+
+TenantPicker.propTypes = {
+  id: PropTypes.string.isRequired,
+  onSelect: PropTypes.func.isRequired,
+  placeholder: PropTypes.string,
+  recentTenants: PropTypes.arrayOf(PropTypes.string),
+  tenants: PropTypes.arrayOf(PropTypes.shape({
+    aliases: PropTypes.arrayOf(PropTypes.string),
+    label: PropTypes.string.isRequired,
+    value: PropTypes.string.isRequired,
+  })).isRequired,
+};
+
+export default TenantPicker;
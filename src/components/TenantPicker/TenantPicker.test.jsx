@@ -0,0 +1,158 @@
+import { render, screen } from '@folio/jest-config-stripes/testing-library/react';
+import userEvent from '@folio/jest-config-stripes/testing-library/user-event';
+import { IntlProvider } from 'react-intl';
+import { runAxeTest } from '@folio/stripes-testing';
+
+import TenantPicker, { matchTenants } from './TenantPicker';
+
+const tenants = [
+  { value: 'alpha', label: 'Alpha', aliases: [] },
+  { value: 'diku', label: 'Diku', aliases: ['Opentown Libraries'] },
+  { value: 'supertenant', label: 'Supertenant', aliases: [] },
+];
+
+const renderPicker = (props = {}) => {
+  const onSelect = jest.fn();
+  render(
+    <IntlProvider locale="en" messages={{}}>
+      <label htmlFor="tenantName">Library</label>
+      <TenantPicker id="tenantName" onSelect={onSelect} tenants={tenants} {...props} />
+    </IntlProvider>
+  );
+
+  return onSelect;
+};
+
+describe('matchTenants', () => {
+  it('matches name, label and aliases, ignoring case', () => {
+    expect(matchTenants(tenants, 'DIK').map(t => t.value)).toEqual(['diku']);
+    expect(matchTenants(tenants, 'opentown').map(t => t.value)).toEqual(['diku']);
+    expect(matchTenants(tenants, 'superten').map(t => t.value)).toEqual(['supertenant']);
+    expect(matchTenants(tenants, 'nothing')).toEqual([]);
+  });
+
+  it('returns every tenant for an empty query', () => {
+    expect(matchTenants(tenants, '  ')).toHaveLength(3);
+  });
+
+  it('pins recently used tenants to the top, most recent first', () => {
+    const matches = matchTenants(tenants, '', ['supertenant', 'diku', 'gone']);
+    expect(matches.map(t => t.value)).toEqual(['supertenant', 'diku', 'alpha']);
+    expect(matches.map(t => !!t.isRecent)).toEqual([true, true, false]);
+  });
+
+  it('only pins recently used tenants that match', () => {
+    expect(matchTenants(tenants, 'alp', ['diku']).map(t => t.value)).toEqual(['alpha']);
+  });
+});
+
+describe('TenantPicker', () => {
+  it('filters the list as the user types', async () => {
+    const user = userEvent.setup();
+    renderPicker();
+
+    await user.type(screen.getByRole('combobox', { name: 'Library' }), 'opentown');
+    expect(screen.getAllByRole('option')).toHaveLength(1);
+    screen.getByRole('option', { name: 'Diku' });
+  });
+
+  it('chooses an option with the mouse', async () => {
+    const user = userEvent.setup();
+    const onSelect = renderPicker();
+
+    await user.type(screen.getByRole('combobox'), 'sup');
+    await user.click(screen.getByRole('option', { name: 'Supertenant' }));
+
+    expect(onSelect).toHaveBeenCalledWith('supertenant');
+    expect(screen.getByRole('combobox')).toHaveValue('Supertenant');
+    expect(screen.getByRole('combobox')).toHaveAttribute('aria-expanded', 'false');
+  });
+
+  it('supports keyboard navigation', async () => {
+    const user = userEvent.setup();
+    const onSelect = renderPicker();
+    const input = screen.getByRole('combobox');
+
+    await user.click(input);
+    await user.keyboard('{ArrowDown}{ArrowDown}');
+    expect(input).toHaveAttribute('aria-activedescendant', 'tenantName-option-diku');
+    expect(screen.getByRole('option', { name: 'Diku' })).toHaveAttribute('aria-selected', 'true');
+
+    await user.keyboard('{ArrowUp}{ArrowUp}');
+    expect(input).toHaveAttribute('aria-activedescendant', 'tenantName-option-supertenant');
+
+    await user.keyboard('{Enter}');
+    expect(onSelect).toHaveBeenCalledWith('supertenant');
+    expect(input).toHaveFocus();
+  });
+
+  it('does not let Enter submit a form until a tenant has been chosen', async () => {
+    const user = userEvent.setup();
+    const onSubmit = jest.fn(event => event.preventDefault());
+    render(
+      <IntlProvider locale="en" messages={{}}>
+        <form onSubmit={onSubmit}>
+          <label htmlFor="tenantName">Library</label>
+          <TenantPicker id="tenantName" onSelect={jest.fn()} tenants={tenants} />
+          <button type="submit">Continue</button>
+        </form>
+      </IntlProvider>
+    );
+
+    const combobox = screen.getByRole('combobox', { name: 'Library' });
+    await user.type(combobox, 'dik{Enter}');
+    expect(onSubmit).not.toHaveBeenCalled();
+
+    await user.keyboard('{ArrowDown}{Enter}');
+    expect(combobox).toHaveValue('Diku');
+    expect(onSubmit).not.toHaveBeenCalled();
+
+    await user.keyboard('{Enter}');
+    expect(onSubmit).toHaveBeenCalledTimes(1);
+  });
+
+  it('closes with Escape, then clears the choice with a second Escape', async () => {
+    const user = userEvent.setup();
+    const onSelect = renderPicker();
+    const input = screen.getByRole('combobox');
+
+    await user.type(input, 'alp');
+    await user.keyboard('{ArrowDown}{Enter}');
+    expect(onSelect).toHaveBeenLastCalledWith('alpha');
+
+    await user.keyboard('{ArrowDown}{Escape}');
+    expect(input).toHaveAttribute('aria-expanded', 'false');
+    expect(input).toHaveValue('Alpha');
+
+    await user.keyboard('{Escape}');
+    expect(input).toHaveValue('');
+    expect(onSelect).toHaveBeenLastCalledWith('');
+  });
+
+  it('marks recently used tenants', async () => {
+    const user = userEvent.setup();
+    renderPicker({ recentTenants: ['diku'] });
+
+    await user.click(screen.getByRole('combobox'));
+    expect(screen.getAllByRole('option')[0]).toHaveTextContent('stripes-hub.TenantPicker.recent');
+  });
+
+  it('announces the number of matches', async () => {
+    const user = userEvent.setup();
+    renderPicker();
+
+    await user.type(screen.getByRole('combobox'), 'xyz');
+    expect(screen.getByRole('status')).toHaveTextContent('stripes-hub.TenantPicker.matches');
+    expect(screen.queryByRole('listbox')).not.toBeInTheDocument();
+  });
+
+  it('should render with no axe errors', async () => {
+    const user = userEvent.setup();
+    renderPicker();
+
+    await user.click(screen.getByRole('combobox'));
+    await runAxeTest({
+      rootNode: document.body,
+    });
+  });
+});
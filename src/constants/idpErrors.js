@@ -0,0 +1,30 @@
+/** next steps offered to a user whose login attempt the provider rejected */
+export const idpErrorActions = {
+  TRY_AGAIN: 'tryAgain',
+  CHOOSE_TENANT: 'chooseTenant',
+  CONTACT_ADMIN: 'contactAdmin',
+};
+
+const { TRY_AGAIN, CHOOSE_TENANT, CONTACT_ADMIN } = idpErrorActions;
+
+/**
+ * Standard error codes an authorization server returns to the redirect URI
+ * (RFC 6749 section 4.1.2.1; OpenID Connect Core section 3.1.2.6), mapped to
+ * the actions that may help. Each has a translation at
+ * stripes-hub.IdpError.<code>; anything else is stripes-hub.IdpError.unknown.
+ */
+const idpErrors = {
+  access_denied: [TRY_AGAIN, CHOOSE_TENANT],
+  login_required: [TRY_AGAIN],
+  interaction_required: [TRY_AGAIN],
+  consent_required: [TRY_AGAIN],
+  account_selection_required: [TRY_AGAIN],
+  temporarily_unavailable: [TRY_AGAIN],
+  server_error: [TRY_AGAIN, CONTACT_ADMIN],
+  invalid_request: [CONTACT_ADMIN],
+  unauthorized_client: [CONTACT_ADMIN],
+  unsupported_response_type: [CONTACT_ADMIN],
+  invalid_scope: [CONTACT_ADMIN],
+};
+
+export default idpErrors;
@@ -3,5 +3,6 @@ export { default as forgotFormErrorCodes } from './forgotFormErrorCodes';
 export { default as changePasswordErrorCodes } from './changePasswordErrorCodes';
 export { default as ssoErrorCodes } from './ssoErrorCodes';
 export { default as defaultErrors } from './defaultErrors';
+export { default as idpErrors, idpErrorActions } from './idpErrors';
 export { default as urlPaths } from './urlPaths';
 export { brandingShape, configShape } from './propTypesShape';
\ No newline at end of file
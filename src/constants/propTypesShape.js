@@ -11,7 +11,20 @@ export const brandingShape = {
 };
 
 export const configShape = {
+  affiliationsUrl: PropTypes.string,
+  allowModuleOverrides: PropTypes.bool,
   authnUrl: PropTypes.string.isRequired,
+  discoveryConcurrency: PropTypes.number,
   discoveryUrl: PropTypes.string,
   gatewayUrl: PropTypes.string.isRequired,
+  hostTenants: PropTypes.object,
+  interfaceCheck: PropTypes.oneOf(['exclude', 'warn', 'off']),
+  interfacesUrl: PropTypes.string,
+  moduleCacheTtl: PropTypes.number,
+  moduleCacheVersion: PropTypes.string,
+  moduleOverrides: PropTypes.objectOf(PropTypes.string),
+  modulePackageNames: PropTypes.objectOf(PropTypes.string),
+  returnPathPrefixes: PropTypes.arrayOf(PropTypes.string),
+  silentSso: PropTypes.bool,
+  tenantRegistryUrl: PropTypes.string,
 };
\ No newline at end of file
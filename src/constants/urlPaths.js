@@ -5,7 +5,9 @@ const urlPaths = {
   FORGOT_USERNAME: 'forgot-username',
   RESET_PASSWORD: 'reset-password', //NOSONAR
   LOGOUT: 'logout',
+  MODULE_COMPATIBILITY: 'module-compatibility',
   OIDC_LANDING: 'oidc-landing',
+  SESSION_EXPIRED: 'session-expired',
 };
 
 export default urlPaths;
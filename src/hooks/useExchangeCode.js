@@ -2,31 +2,93 @@ import { useQuery } from 'react-query';
 import { useIntl } from 'react-intl';
 import noop from 'lodash/noop';
 
-import { getLoginTenant, getHeaders, StripesHubError } from '../loginServices';
+import {
+  consumeOIDCStateFromSession,
+  getCodeVerifierFromSession,
+  getHeaders,
+  getIdTokenNonce,
+  getLoginTenant,
+  getTenantConfig,
+  hasSilentSsoAttemptedInSession,
+  isSilentSsoFallbackError,
+  removeCodeVerifierFromSession,
+  removeSilentSsoAttemptedFromSession,
+  StripesHubError,
+} from '../loginServices';
+import { urlPaths } from '../constants';
+
+/** error ID for login attempts that cannot be matched to one we started */
+const INVALID_STATE_ERROR_ID = 'stripes-hub.error.invalidState';
 
 const useExchangeCode = (config, initSession = noop) => {
   const intl = useIntl();
   const urlParams = new URLSearchParams(globalThis.location.search);
   const code = urlParams.get('code');
   const loginTenant = getLoginTenant();
+  const { gatewayUrl } = getTenantConfig(config, loginTenant.name);
 
   const { isFetching, data, error } = useQuery(
     ['@folio/stripes-core', 'authn/token', code],
     async () => {
+      // a silent login attempt that needs user interaction is not an error;
+      // discard it and return to login, where the interactive flow takes over.
+      if (hasSilentSsoAttemptedInSession() && isSilentSsoFallbackError(urlParams.get('error'))) {
+        consumeOIDCStateFromSession(urlParams.get('state'));
+        removeCodeVerifierFromSession();
+        globalThis.location.replace(`/${urlPaths.AUTHN_LOGIN}`);
+        return null;
+      }
+
+      // the provider declined to issue a code. the attempt is over either
+      // way, so discard its state before reporting the provider's error.
+      // anyone can craft this URL, so the free-text description is only
+      // logged; users see the localized explanation of the error code.
+      const idpError = urlParams.get('error');
+      if (idpError) {
+        consumeOIDCStateFromSession(urlParams.get('state'));
+        removeCodeVerifierFromSession();
+        const description = urlParams.get('error_description');
+        if (description) {
+          console.warn(`Authentication provider error ${idpError}: ${description}`);
+        }
+        throw new StripesHubError(`Authentication provider error: ${idpError}`, { idpError });
+      }
+
       if (code) {
+        // the state must match the one stored when this login attempt began;
+        // otherwise the code was injected, or this is a replay.
+        const oidcState = consumeOIDCStateFromSession(urlParams.get('state'));
+        if (!oidcState) {
+          throw new StripesHubError('OIDC state mismatch', { id: INVALID_STATE_ERROR_ID });
+        }
+
         try {
           const params = new URLSearchParams();
           params.append("code", code);
           params.append("redirect-uri", `${globalThis.location.protocol}//${globalThis.location.host}/oidc-landing?tenant=${loginTenant.name}&client_id=${loginTenant.clientId}`);
 
-          const response = await fetch(`${config.gatewayUrl}/authn/token?${params}`, {
+          // a code verifier is present if the authorization request used PKCE.
+          // it is single-use, so discard it whether or not the exchange succeeds.
+          const codeVerifier = getCodeVerifierFromSession();
+          if (codeVerifier) {
+            params.append("code-verifier", codeVerifier);
+          }
+
+          const response = await fetch(`${gatewayUrl}/authn/token?${params}`, {
             headers: getHeaders(loginTenant.name),
             credentials: "include"
           });
+          removeCodeVerifierFromSession();
+          removeSilentSsoAttemptedFromSession();
 
           const json = await response.json();
 
           if (response.ok) {
+            // we only see the ID token if the gateway passes it along
+            if (json.id_token && getIdTokenNonce(json.id_token) !== oidcState.nonce) {
+              throw new StripesHubError('OIDC nonce mismatch', { id: INVALID_STATE_ERROR_ID });
+            }
+
             // initSession eventually redirects to /
             await initSession(json);
             return json;
@@ -35,6 +97,10 @@ const useExchangeCode = (config, initSession = noop) => {
           throw new StripesHubError(`Token exchange failure`, { json, id: 'stripes-hub.error.tokenExchangeFailure ' });
 
         } catch (error) {
+          if (error?.options?.id === INVALID_STATE_ERROR_ID) {
+            throw error;
+          }
+
           const json = error?.options?.json || null;
           throw new StripesHubError(
             `Token exchange failure`,
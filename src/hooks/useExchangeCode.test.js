@@ -29,6 +29,8 @@ describe('useExchangeCode', () => {
       host: 'localhost',
     };
     loginServices.getLoginTenant.mockReturnValue(mockLoginTenant);
+    loginServices.getTenantConfig.mockImplementation((config) => config);
+    loginServices.consumeOIDCStateFromSession.mockReturnValue({ state: 'test-state', nonce: 'test-nonce' });
   });
 
   describe('when code is present in URL', () => {
@@ -244,6 +246,160 @@ describe('useExchangeCode', () => {
         expect.any(Object)
       );
     });
+
+    it('sends and discards the PKCE code verifier when present', async () => {
+      let queryFn;
+      useQuery.mockImplementation((...args) => {
+        queryFn = args[1];
+        return {
+          isFetching: false,
+          data: {},
+          error: null,
+        };
+      });
+
+      globalThis.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        json: jest.fn().mockResolvedValue({}),
+      });
+
+      loginServices.getCodeVerifierFromSession.mockReturnValue('test-verifier');
+
+      renderHook(() => useExchangeCode(mockConfig));
+
+      if (queryFn) {
+        await queryFn();
+      }
+
+      expect(globalThis.fetch).toHaveBeenCalledWith(
+        expect.stringContaining('code-verifier=test-verifier'),
+        expect.any(Object)
+      );
+      expect(loginServices.removeCodeVerifierFromSession).toHaveBeenCalled();
+    });
+
+    it('rejects mismatched or replayed state without exchanging the code', async () => {
+      let queryFn;
+      useQuery.mockImplementation((...args) => {
+        queryFn = args[1];
+        return {
+          isFetching: false,
+          data: null,
+          error: null,
+        };
+      });
+
+      globalThis.fetch = jest.fn();
+      loginServices.consumeOIDCStateFromSession.mockReturnValue(null);
+
+      renderHook(() => useExchangeCode(mockConfig));
+
+      await expect(queryFn()).rejects.toBeInstanceOf(loginServices.StripesHubError);
+      expect(loginServices.StripesHubError).toHaveBeenCalledWith('OIDC state mismatch', { id: 'stripes-hub.error.invalidState' });
+      expect(globalThis.fetch).not.toHaveBeenCalled();
+    });
+
+    it('rejects an ID token with a mismatched nonce', async () => {
+      let queryFn;
+      useQuery.mockImplementation((...args) => {
+        queryFn = args[1];
+        return {
+          isFetching: false,
+          data: null,
+          error: null,
+        };
+      });
+
+      globalThis.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        json: jest.fn().mockResolvedValue({ id_token: 'header.payload.signature' }),
+      });
+      loginServices.getIdTokenNonce.mockReturnValue('some-other-nonce');
+
+      const mockInitSession = jest.fn();
+      renderHook(() => useExchangeCode(mockConfig, mockInitSession));
+
+      await expect(queryFn()).rejects.toBeInstanceOf(loginServices.StripesHubError);
+      expect(loginServices.StripesHubError).toHaveBeenCalledWith('OIDC nonce mismatch', { id: 'stripes-hub.error.invalidState' });
+      expect(mockInitSession).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('when a silent login attempt needs user interaction', () => {
+    beforeEach(() => {
+      globalThis.location = {
+        search: '?error=login_required&state=test-state',
+        protocol: 'http:',
+        host: 'localhost',
+        replace: jest.fn(),
+      };
+      globalThis.fetch = jest.fn();
+    });
+
+    it('discards the attempt and returns to login', async () => {
+      let queryFn;
+      useQuery.mockImplementation((...args) => {
+        queryFn = args[1];
+        return { isFetching: false, data: null, error: null };
+      });
+      loginServices.hasSilentSsoAttemptedInSession.mockReturnValue(true);
+      loginServices.isSilentSsoFallbackError.mockReturnValue(true);
+
+      renderHook(() => useExchangeCode(mockConfig));
+
+      await expect(queryFn()).resolves.toBeNull();
+      expect(loginServices.isSilentSsoFallbackError).toHaveBeenCalledWith('login_required');
+      expect(loginServices.consumeOIDCStateFromSession).toHaveBeenCalledWith('test-state');
+      expect(globalThis.location.replace).toHaveBeenCalledWith('/authn-login');
+      expect(globalThis.fetch).not.toHaveBeenCalled();
+    });
+
+    it('treats the error normally if no silent attempt was made', async () => {
+      let queryFn;
+      useQuery.mockImplementation((...args) => {
+        queryFn = args[1];
+        return { isFetching: false, data: null, error: null };
+      });
+      loginServices.hasSilentSsoAttemptedInSession.mockReturnValue(false);
+      loginServices.isSilentSsoFallbackError.mockReturnValue(true);
+
+      renderHook(() => useExchangeCode(mockConfig));
+
+      await expect(queryFn()).rejects.toBeDefined();
+      expect(globalThis.location.replace).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('when the provider returns an error', () => {
+    beforeEach(() => {
+      globalThis.location = {
+        search: '?error=access_denied&error_description=User+cancelled&state=test-state',
+        protocol: 'http:',
+        host: 'localhost',
+      };
+      globalThis.fetch = jest.fn();
+    });
+
+    it('reports the error and logs the description without exchanging a code', async () => {
+      jest.spyOn(console, 'warn').mockImplementation();
+      let queryFn;
+      useQuery.mockImplementation((...args) => {
+        queryFn = args[1];
+        return { isFetching: false, data: null, error: null };
+      });
+      loginServices.hasSilentSsoAttemptedInSession.mockReturnValue(false);
+
+      renderHook(() => useExchangeCode(mockConfig));
+
+      await expect(queryFn()).rejects.toBeInstanceOf(loginServices.StripesHubError);
+      expect(loginServices.StripesHubError).toHaveBeenCalledWith('Authentication provider error: access_denied', {
+        idpError: 'access_denied',
+      });
+      expect(console.warn).toHaveBeenCalledWith('Authentication provider error access_denied: User cancelled');
+      expect(loginServices.consumeOIDCStateFromSession).toHaveBeenCalledWith('test-state');
+      expect(globalThis.fetch).not.toHaveBeenCalled();
+      console.warn.mockRestore();
+    });
   });
 
   describe('when code is not in URL', () => {
@@ -0,0 +1,27 @@
+import { useQuery } from 'react-query';
+
+import { getExcludedModules } from '../loginServices';
+
+/**
+ * Retrieve the UI modules useInitSession left out of the last stripes load
+ * because the backend does not provide the interfaces they require.
+ *
+ * @returns {object} shaped like { isLoading, excludedModules, error }
+ */
+const useExcludedModules = () => {
+  const { isLoading, data, error } = useQuery(
+    ['@folio/stripes-core', 'excludedModules'],
+    getExcludedModules,
+    {
+      retry: false,
+    }
+  );
+
+  return ({
+    isLoading,
+    excludedModules: data ?? [],
+    error,
+  });
+};
+
+export default useExcludedModules;
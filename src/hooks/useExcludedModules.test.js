@@ -0,0 +1,33 @@
+import { renderHook } from '@folio/jest-config-stripes/testing-library/react';
+import { useQuery } from 'react-query';
+import useExcludedModules from './useExcludedModules';
+import { getExcludedModules } from '../loginServices';
+
+jest.mock('react-query');
+jest.mock('../loginServices');
+
+describe('useExcludedModules', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('queries the excluded modules', () => {
+    useQuery.mockReturnValue({ isLoading: true, data: undefined, error: null });
+
+    const { result } = renderHook(() => useExcludedModules());
+    expect(useQuery).toHaveBeenCalledWith(
+      ['@folio/stripes-core', 'excludedModules'],
+      getExcludedModules,
+      expect.objectContaining({ retry: false })
+    );
+    expect(result.current).toEqual({ isLoading: true, excludedModules: [], error: null });
+  });
+
+  it('returns the excluded modules', () => {
+    const excludedModules = [{ id: 'folio_users-1.0.0', name: 'folio_users', missingInterfaces: [] }];
+    useQuery.mockReturnValue({ isLoading: false, data: excludedModules, error: null });
+
+    const { result } = renderHook(() => useExcludedModules());
+    expect(result.current.excludedModules).toBe(excludedModules);
+  });
+});
@@ -1,6 +1,8 @@
 import { useState } from 'react';
 import { useMutation } from 'react-query';
 
+import { getTenantConfig } from '../loginServices';
+
 /**
  * Return a form-handler function and a state variable indicating whether
  * the handler ran. The forgot-password API returns 2xx no matter what input
@@ -12,9 +14,10 @@ import { useMutation } from 'react-query';
  */
 const useForgotPassword = ({ config, tenant }) => {
   const [didMutate, setDidMutate] = useState(false);
+  const { gatewayUrl } = getTenantConfig(config, tenant);
 
   const mutation = useMutation({
-    mutationFn: (id) => fetch(`${config.gatewayUrl}/users-keycloak/forgotten/password`, {
+    mutationFn: (id) => fetch(`${gatewayUrl}/users-keycloak/forgotten/password`, {
       "headers": {
         "accept": "application/json",
         "content-type": "application/json",
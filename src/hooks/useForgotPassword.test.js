@@ -37,6 +37,30 @@ describe('useForgotPassword', () => {
     });
   });
 
+  describe('with per-tenant gatewayUrl', () => {
+    it('uses the tenant\'s gatewayUrl', () => {
+      const mutationFn = jest.fn();
+      useMutation.mockReturnValue({
+        mutateAsync: mutationFn,
+        status: 'idle',
+      });
+
+      const config = {
+        ...mockConfig,
+        tenantOptions: { diku: { name: 'diku', clientId: 'diku-app', gatewayUrl: 'http://diku-gateway.example.com' } },
+      };
+      renderHook(() => useForgotPassword({ config, tenant: mockTenant }));
+
+      const [mutationConfig] = useMutation.mock.calls[0];
+      mutationConfig.mutationFn('test@example.com');
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        'http://diku-gateway.example.com/users-keycloak/forgotten/password',
+        expect.any(Object)
+      );
+    });
+  });
+
   describe('handleSubmit', () => {
     it('submits forgotten password request with user input', async () => {
       const mockMutateAsync = jest.fn().mockResolvedValue(undefined);
@@ -1,6 +1,8 @@
 import { useState } from 'react';
 import { useMutation } from 'react-query';
 
+import { getTenantConfig } from '../loginServices';
+
 /**
  * validate an email address
  * Email address validation is notoriously difficult. I don't know where this
@@ -59,9 +61,10 @@ export const isValidEmailOrPhoneNumber = (input) => {
 const useForgotUsername = ({ config, tenant }) => {
   const [didMutate, setDidMutate] = useState(false);
   const [isError, setIsError] = useState(false);
+  const { gatewayUrl } = getTenantConfig(config, tenant);
 
   const mutation = useMutation({
-    mutationFn: (id) => fetch(`${config.gatewayUrl}/users-keycloak/forgotten/username`, {
+    mutationFn: (id) => fetch(`${gatewayUrl}/users-keycloak/forgotten/username`, {
       "headers": {
         "accept": "application/json",
         "content-type": "application/json",
@@ -1,45 +1,73 @@
+import { useState } from 'react';
 import { useQuery } from 'react-query';
 import localforage from 'localforage';
+import isEqual from 'lodash/isEqual';
 
 import {
+  DEFAULT_INTERFACE_CHECK,
+  DISCOVERY_URL_KEY,
+  EXCLUDED_MODULES_KEY,
+  FOLIO_BRANDING_KEY,
+  FOLIO_CONFIG_KEY,
+  HOST_APP_NAME,
+  HOST_URL_KEY,
+  MODULE_OVERRIDE_PARAM_PREFIX,
+  REMOTE_LIST_KEY,
+  applyModuleOverrides,
+  fetchAffiliations,
   fetchDiscovery,
   fetchEntitlements,
+  forgetExpiredSession,
   getCurrentTenant,
+  getDefaultAffiliation,
   getHeaders,
+  getModuleCache,
+  getModuleOverrides,
   getSession,
+  getTenantConfig,
   loadStripes,
+  refreshTokens,
+  resetModuleOverrides,
+  setSessionAffiliation,
   setUnauthorizedPathToSession,
+  storeDefaultAffiliation,
+  storeModuleCache,
 } from '../loginServices';
-
-/** name for whatever the entitlement service will call the hub app (stripes, stripes-core, etc.) */
-const HOST_APP_NAME = 'folio_stripes';
-
-/** name for FOLIO config stored in localforage to be used by entitled applications (such as stripes-core) */
-const FOLIO_CONFIG_KEY = 'folio_config';
-
-/** name for FOLIO branding file locations to be used by entitled applications (such as stripes-core) */
-const FOLIO_BRANDING_KEY = 'branding_config';
+import { urlPaths } from '../constants';
 
 /** root API path to user session data */
 const USERS_PATH = 'users-keycloak';
 
-// localstorage keys to-be-ingested by stripes-core
-const DISCOVERY_URL_KEY = 'discoveryUrl';
-const HOST_URL_KEY = 'hostUrl';
-const REMOTE_LIST_KEY = 'entitlements';
-
 /**
  * Pull the session from local storage and validate it by fetching from .../_self.
- * If the session is valid, fetch entitlements and discovery data,
+ * If the access token has expired but the refresh token has not, refresh
+ * them first. If the session is valid, fetch entitlements and discovery data,
  * then initialize stripes.
  *
- * If the session is invalid at any point in that process, redirect to login.
+ * With config.affiliationsUrl, consortium users with several affiliations
+ * first choose the tenant to work in; entitlements and discovery are fetched
+ * for that tenant, and stripes runs in it.
+ *
+ * UI modules requiring interface versions the backend does not provide are
+ * left out of the list of modules stripes loads; see flagIncompatibleModules.
+ *
+ * Developers may load individual modules from elsewhere; see getModuleOverrides.
+ *
+ * Entitlement and discovery data are cached per tenant. With a fresh cache,
+ * stripes starts from it right away while the cache is refreshed in the
+ * background; see getModuleCache.
+ *
+ * If there is no session, redirect to login. If the session has expired,
+ * redirect to the session-expired page, which offers to log in again.
  * @param {*} config
  * @param {*} branding
  * @param {*} loginUrl
  * @returns
  */
 const useInitSession = (config, branding, loginUrl) => {
+  // tenantOptions entries may override global values such as gatewayUrl
+  const tenantConfig = getTenantConfig(config, getCurrentTenant()?.name);
+
   const authenticate = () => {
     // Cache the current path so we can return to it after authenticating.
     if (globalThis.location.pathname !== '/') {
@@ -48,6 +76,21 @@ const useInitSession = (config, branding, loginUrl) => {
     globalThis.location.pathname = loginUrl;
   };
 
+  /**
+   * expireSession
+   * Like authenticate(), but for a session that existed and has expired:
+   * rather than bouncing straight back through login, tell the user why
+   * they have to log in again. The next login, in any tab, is then a new
+   * session, which brings this tab back via useSessionSync.
+   */
+  const expireSession = () => {
+    forgetExpiredSession();
+    if (globalThis.location.pathname !== '/') {
+      setUnauthorizedPathToSession();
+    }
+    globalThis.location.pathname = urlPaths.SESSION_EXPIRED;
+  };
+
   const sessionIsValid = (session) => {
     return !!session?.isAuthenticated;
   };
@@ -75,7 +118,7 @@ const useInitSession = (config, branding, loginUrl) => {
       const tenant = getCurrentTenant().name;
       const { token, tenant: sessionTenant = tenant } = session;
 
-      const resp = await fetch(`${config.gatewayUrl}/${USERS_PATH}/_self?expandPermissions=true`, {
+      const resp = await fetch(`${tenantConfig.gatewayUrl}/${USERS_PATH}/_self?expandPermissions=true`, {
         headers: getHeaders(sessionTenant, token),
         credentials: 'include',
         mode: 'cors',
@@ -94,21 +137,58 @@ const useInitSession = (config, branding, loginUrl) => {
     }
   };
 
+  /**
+   * refreshSession
+   * .../_self rejects an expired access token, but the session may still be
+   * good for as long as the refresh token is. Use the tokenExpiration values
+   * stored by createSession and setTokenExpiry to decide whether to refresh
+   * before validating the session.
+   *
+   * @param {*} session session object
+   * @returns {Promise} resolves to the session, with new token expiry if it was refreshed, or null if it could not be
+   */
+  const refreshSession = async (session) => {
+    const { atExpires, rtExpires } = session.tokenExpiration ?? {};
+    const now = Date.now();
+
+    // without expiry data, leave it to validateSession
+    if (!Number.isInteger(atExpires) || atExpires > now) {
+      return session;
+    }
+
+    if (!(rtExpires > now)) {
+      return null;
+    }
+
+    try {
+      return await refreshTokens(tenantConfig, session.tenant ?? getCurrentTenant().name);
+    } catch (error) {
+      console.error(error);
+      return null;
+    }
+  };
+
   const { isLoading: isLoadingSession, data: session, error: sessionError } = useQuery(
     ['@folio/stripes-core', 'initSession'],
     async () => {
       try {
-        const cachedSession = await getSession();
+        const storedSession = await getSession();
 
         // retrieve session data. if none is available, redirect to login
-        // because we pass `authenticate()` as the error handler
-        cachedSession?.user?.id ? await validateSession(cachedSession, authenticate) : authenticate();
-
-        if (cachedSession && sessionIsValid(cachedSession)) {
-          return cachedSession;
-        } else {
+        if (!storedSession?.user?.id || !sessionIsValid(storedSession)) {
           authenticate();
+          return null;
+        }
+
+        // if it is no longer valid, explain that it expired
+        const cachedSession = await refreshSession(storedSession);
+        if (!cachedSession) {
+          expireSession();
+          return null;
         }
+
+        const user = await validateSession(cachedSession, expireSession);
+        return user ? cachedSession : null;
       } catch (e) {
         console.error('error during StripesHub init', e);
         throw new Error('Session init error', { cause: e });
@@ -119,24 +199,84 @@ const useInitSession = (config, branding, loginUrl) => {
     }
   );
 
+  // an affiliation is chosen once per session: in this render, or in an
+  // earlier page load, in which case the session remembers it
+  const [chosenAffiliation, setChosenAffiliation] = useState();
+  const affiliation = chosenAffiliation ?? session?.affiliation;
+  const needsAffiliation = !!session && !!config.affiliationsUrl && !affiliation;
+
+  const { data: affiliations } = useQuery(
+    ['@folio/stripes-core', 'affiliations'],
+    async () => {
+      try {
+        return await fetchAffiliations(tenantConfig, getCurrentTenant().name, session.user.id);
+      } catch (error) {
+        // not being able to choose is no reason to keep the user out;
+        // carry on in the tenant they logged in to
+        console.error('Affiliations fetch error', error);
+        return [];
+      }
+    },
+    {
+      retry: false,
+      enabled: needsAffiliation,
+    }
+  );
+
+  const isLoadingAffiliations = needsAffiliation && !affiliations;
+  const isChoosingAffiliation = needsAffiliation && affiliations?.length > 1;
+
+  /**
+   * selectAffiliation
+   * Switch the session to the chosen tenant and remember it as the user's
+   * default, then carry on loading stripes.
+   *
+   * @param {string} tenantId
+   */
+  const selectAffiliation = async (tenantId) => {
+    await setSessionAffiliation(tenantId);
+    storeDefaultAffiliation(session.user.id, tenantId);
+    setChosenAffiliation(tenantId);
+  };
+
+  const canLoadModules = !!session && !isLoadingAffiliations && !isChoosingAffiliation;
+  const getModuleTenant = () => affiliation ?? getCurrentTenant().name;
+
+  // entitlement and discovery data rarely change. with a fresh cached copy,
+  // start stripes from it and refresh it in the background, for next time.
+  const { data: moduleCache } = useQuery(
+    ['@folio/stripes-core', 'moduleCache'],
+    () => getModuleCache(tenantConfig, getModuleTenant()),
+    {
+      retry: false,
+      enabled: canLoadModules,
+    }
+  );
+  const cachedDiscovery = moduleCache?.isFresh ? moduleCache.discovery : undefined;
+
   const { isLoading: isLoadingEntitlement, data: entitlement, error: entitlementError } = useQuery(
     ['@folio/stripes-core', 'entitlement'],
     async () => {
-      const tenant = getCurrentTenant().name;
-      const entitlement = await fetchEntitlements(config, tenant);
+      const entitlement = await fetchEntitlements(tenantConfig, getModuleTenant(), moduleCache.responses);
       return entitlement;
     },
     {
       retry: false,
-      enabled: !!session,
+      enabled: !!moduleCache,
     }
   );
 
   const { isLoading: isLoadingDiscovery, data: discovery, error: discoveryError } = useQuery(
     ['@folio/stripes-core', 'discovery'],
     async () => {
-      const tenant = getCurrentTenant().name;
-      const discovery = await fetchDiscovery(config, tenant, entitlement);
+      const tenant = getModuleTenant();
+      const discovery = await fetchDiscovery(tenantConfig, tenant, entitlement, moduleCache.responses);
+
+      if (cachedDiscovery && !isEqual(cachedDiscovery, discovery)) {
+        console.info('Entitlement or discovery data changed; the changes take effect on the next load');
+      }
+      await storeModuleCache(tenantConfig, tenant, { entitlement, discovery, responses: moduleCache.responses });
+
       return discovery;
     },
     {
@@ -145,6 +285,27 @@ const useInitSession = (config, branding, loginUrl) => {
     }
   );
 
+  // stripes starts from cached data if it is fresh, otherwise from fetched data
+  const modules = cachedDiscovery ?? discovery;
+
+  // read once, since query-string overrides are moved to local storage
+  const [moduleOverrides] = useState(() => getModuleOverrides(tenantConfig));
+
+  /**
+   * resetOverrides
+   * Discard local module overrides and reload, without the query-string
+   * parameters that set them.
+   */
+  const resetOverrides = () => {
+    resetModuleOverrides();
+    const params = new URLSearchParams(globalThis.location.search);
+    [...params.keys()]
+      .filter(key => key.startsWith(MODULE_OVERRIDE_PARAM_PREFIX))
+      .forEach(key => params.delete(key));
+    const search = params.toString();
+    globalThis.location.assign(`${globalThis.location.pathname}${search ? `?${search}` : ''}`);
+  };
+
   /**
    * initStripes
    * Fetch entitlements and discovery data, then cache it in local storage.
@@ -163,23 +324,35 @@ const useInitSession = (config, branding, loginUrl) => {
    * @param {string} tenant
    * @returns {Promise<void>} resolves when stripes is initialized
    */
-  const { isLoading: isLoadingStripes, error: stripesError } = useQuery(
+  const { isLoading: isLoadingStripes, error: stripesError, data: isStripesLoaded } = useQuery(
     ['@folio/stripes-core', 'stripes'],
     async () => {
-      console.log({ session, entitlement, discovery });
-      const stripesCore = Object.values(discovery).find((entry) => entry.name === 'folio_stripes-core');
+      console.log({ session, entitlement, discovery: modules, isCached: modules === cachedDiscovery });
+      const locatedModules = applyModuleOverrides(modules, moduleOverrides.overrides);
+      const stripesCore = Object.values(locatedModules).find((entry) => entry.name === 'folio_stripes-core');
       if (stripesCore) {
-        localStorage.setItem(FOLIO_CONFIG_KEY, JSON.stringify(config));
+        localStorage.setItem(FOLIO_CONFIG_KEY, JSON.stringify(tenantConfig));
         localStorage.setItem(FOLIO_BRANDING_KEY, JSON.stringify(branding));
 
-        await localforage.setItem(DISCOVERY_URL_KEY, config.discoveryUrl ?? config.gatewayUrl);
+        await localforage.setItem(DISCOVERY_URL_KEY, tenantConfig.discoveryUrl ?? tenantConfig.gatewayUrl);
         await localforage.setItem(HOST_APP_NAME, HOST_APP_NAME);
         await localforage.setItem(HOST_URL_KEY, stripesCore.location);
 
         // REMOTE_LIST_KEY stores the list of apps that stripes will load,
         // so we have to remove stripes from that list. Otherwise, Malkovich.
         // Malkovich Malkovich Malkovich? Malkovich!
-        await localforage.setItem(REMOTE_LIST_KEY, Object.values(discovery).filter(module => module.name !== 'folio_stripes-core'));
+        const remotes = Object.values(locatedModules).filter(module => module.name !== 'folio_stripes-core');
+
+        // leave out modules requiring interfaces the backend does not provide,
+        // unless config says only to warn; the module-compatibility page lists
+        // them for admins
+        const isExcluding = (tenantConfig.interfaceCheck ?? DEFAULT_INTERFACE_CHECK) === 'exclude';
+        const excluded = isExcluding ? remotes.filter(module => module.missingInterfaces?.length > 0) : [];
+        if (excluded.length > 0) {
+          console.warn(`Not loading UI modules with missing interfaces: ${excluded.map(module => module.name).join(', ')}`);
+        }
+        await localforage.setItem(EXCLUDED_MODULES_KEY, excluded.map(({ id, name, module, missingInterfaces }) => ({ id, name, module, missingInterfaces })));
+        await localforage.setItem(REMOTE_LIST_KEY, remotes.filter(module => !excluded.includes(module)));
 
         await loadStripes(stripesCore);
         return true;
@@ -189,19 +362,28 @@ const useInitSession = (config, branding, loginUrl) => {
     },
     {
       retry: false,
-      enabled: !!session && !!entitlement && !!discovery, // stripes init depends on session, entitlement, and discovery, so don't run until we have all of that data
+      enabled: !!session && !!modules, // stripes init depends on session and discovery data, cached or fetched, so don't run until we have both
     }
   );
 
   return ({
-    isLoadingDiscovery,
-    discoveryError,
-    isLoadingEntitlement,
-    entitlementError,
+    affiliations: isChoosingAffiliation ? affiliations : undefined,
+    defaultAffiliation: session?.user?.id ? getDefaultAffiliation(session.user.id) : undefined,
+    isLoadingAffiliations,
+    selectAffiliation,
+    // a background refresh of cached data neither shows progress nor fails the load
+    isLoadingDiscovery: isLoadingDiscovery && !cachedDiscovery,
+    discoveryError: cachedDiscovery ? null : discoveryError,
+    isLoadingEntitlement: isLoadingEntitlement && !cachedDiscovery,
+    entitlementError: cachedDiscovery ? null : entitlementError,
     isLoadingStripes,
     stripesError,
+    isStripesLoaded: !!isStripesLoaded,
     isLoadingSession,
     sessionError,
+    moduleOverrides: moduleOverrides.overrides,
+    hasLocalModuleOverrides: Object.keys(moduleOverrides.localOverrides).length > 0,
+    resetModuleOverrides: resetOverrides,
   });
 };
 
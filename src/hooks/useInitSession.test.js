@@ -1,13 +1,29 @@
-import { renderHook, waitFor } from '@testing-library/react';
+import { act, renderHook, waitFor } from '@testing-library/react';
 import { QueryClient, QueryClientProvider } from 'react-query';
+import localforage from 'localforage';
 import useInitSession from './useInitSession';
 import {
+  EXCLUDED_MODULES_KEY,
+  MODULE_OVERRIDE_PARAM_PREFIX,
+  REMOTE_LIST_KEY,
+  applyModuleOverrides,
+  fetchAffiliations,
   fetchDiscovery,
   fetchEntitlements,
+  forgetExpiredSession,
   getCurrentTenant,
   getHeaders,
+  getModuleCache,
+  getModuleOverrides,
   getSession,
-  setUnauthorizedPathToSession
+  getTenantConfig,
+  loadStripes,
+  refreshTokens,
+  resetModuleOverrides,
+  setSessionAffiliation,
+  setUnauthorizedPathToSession,
+  storeDefaultAffiliation,
+  storeModuleCache,
 } from '../loginServices';
 
 jest.mock('../loginServices');
@@ -50,6 +66,11 @@ describe('useInitSession', () => {
     localStorage.clear();
     getCurrentTenant.mockReturnValue({ name: 'test-tenant' });
     getHeaders.mockReturnValue({ Authorization: 'Bearer token' });
+    getTenantConfig.mockImplementation((config) => config);
+    getModuleCache.mockResolvedValue({ responses: {}, isFresh: false });
+    getModuleOverrides.mockReturnValue({ overrides: {}, localOverrides: {} });
+    applyModuleOverrides.mockImplementation((modules) => modules);
+    globalThis.location = { pathname: '/inventory' };
   });
 
   it('should return loading and error states', () => {
@@ -79,6 +100,35 @@ describe('useInitSession', () => {
     });
 
     expect(setUnauthorizedPathToSession).toHaveBeenCalled();
+    expect(globalThis.location.pathname).toBe(mockLoginUrl);
+    expect(forgetExpiredSession).not.toHaveBeenCalled();
+  });
+
+  it('should send the user to the session-expired page when validation fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation();
+    getSession.mockResolvedValue(mockSession);
+    setUnauthorizedPathToSession.mockImplementation(() => {});
+
+    global.fetch = jest.fn(() =>
+      Promise.resolve({
+        ok: false,
+        text: () => Promise.resolve('Unauthorized'),
+      })
+    );
+
+    const { result } = renderHook(() => useInitSession(mockConfig, mockBranding, mockLoginUrl), {
+      wrapper: createWrapper(),
+    });
+
+    await waitFor(() => {
+      expect(result.current.isLoadingSession).toBe(false);
+    });
+
+    expect(setUnauthorizedPathToSession).toHaveBeenCalled();
+    expect(globalThis.location.pathname).toBe('session-expired');
+    expect(forgetExpiredSession).toHaveBeenCalled();
+    expect(fetchEntitlements).not.toHaveBeenCalled();
+    console.error.mockRestore();
   });
 
   it('should handle session validation failure', async () => {
@@ -126,4 +176,376 @@ describe('useInitSession', () => {
 
     expect(result.current.stripesError).toBeDefined();
   });
+
+  describe('token refresh', () => {
+    const now = Date.now();
+    const expiredSession = {
+      ...mockSession,
+      tenant: 'test-tenant',
+      tokenExpiration: { atExpires: now - 1000, rtExpires: now + 60000 },
+    };
+
+    beforeEach(() => {
+      setUnauthorizedPathToSession.mockImplementation(() => {});
+      global.fetch = jest.fn(() =>
+        Promise.resolve({
+          ok: true,
+          json: () => Promise.resolve({ id: '123' }),
+        })
+      );
+      jest.spyOn(console, 'error').mockImplementation();
+    });
+
+    afterEach(() => {
+      console.error.mockRestore();
+    });
+
+    it('refreshes an expired access token before validating the session', async () => {
+      const refreshedSession = { ...expiredSession, tokenExpiration: { atExpires: now + 60000, rtExpires: now + 120000 } };
+      getSession.mockResolvedValue(expiredSession);
+      refreshTokens.mockResolvedValue(refreshedSession);
+
+      const { result } = renderHook(() => useInitSession(mockConfig, mockBranding, mockLoginUrl), {
+        wrapper: createWrapper(),
+      });
+
+      await waitFor(() => {
+        expect(result.current.isLoadingSession).toBe(false);
+      });
+
+      expect(refreshTokens).toHaveBeenCalledWith(mockConfig, 'test-tenant');
+      expect(refreshTokens.mock.invocationCallOrder[0]).toBeLessThan(global.fetch.mock.invocationCallOrder[0]);
+      expect(setUnauthorizedPathToSession).not.toHaveBeenCalled();
+    });
+
+    it('does not refresh an access token that has not expired', async () => {
+      getSession.mockResolvedValue({ ...expiredSession, tokenExpiration: { atExpires: now + 60000, rtExpires: now + 120000 } });
+
+      const { result } = renderHook(() => useInitSession(mockConfig, mockBranding, mockLoginUrl), {
+        wrapper: createWrapper(),
+      });
+
+      await waitFor(() => {
+        expect(result.current.isLoadingSession).toBe(false);
+      });
+
+      expect(refreshTokens).not.toHaveBeenCalled();
+      expect(global.fetch).toHaveBeenCalled();
+    });
+
+    it('sends the user to the session-expired page when the refresh token has expired', async () => {
+      getSession.mockResolvedValue({ ...expiredSession, tokenExpiration: { atExpires: now - 2000, rtExpires: now - 1000 } });
+
+      const { result } = renderHook(() => useInitSession(mockConfig, mockBranding, mockLoginUrl), {
+        wrapper: createWrapper(),
+      });
+
+      await waitFor(() => {
+        expect(result.current.isLoadingSession).toBe(false);
+      });
+
+      expect(refreshTokens).not.toHaveBeenCalled();
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(setUnauthorizedPathToSession).toHaveBeenCalled();
+      expect(globalThis.location.pathname).toBe('session-expired');
+      expect(forgetExpiredSession).toHaveBeenCalled();
+    });
+
+    it('sends the user to the session-expired page when the refresh fails', async () => {
+      getSession.mockResolvedValue(expiredSession);
+      refreshTokens.mockRejectedValue(new Error('refresh failed'));
+
+      const { result } = renderHook(() => useInitSession(mockConfig, mockBranding, mockLoginUrl), {
+        wrapper: createWrapper(),
+      });
+
+      await waitFor(() => {
+        expect(result.current.isLoadingSession).toBe(false);
+      });
+
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(setUnauthorizedPathToSession).toHaveBeenCalled();
+      expect(globalThis.location.pathname).toBe('session-expired');
+      expect(forgetExpiredSession).toHaveBeenCalled();
+    });
+  });
+
+  describe('affiliations', () => {
+    const affiliationConfig = { ...mockConfig, affiliationsUrl: '/user-tenants?userId={userId}' };
+    const affiliations = [
+      { tenantId: 'test-tenant', tenantName: 'Test tenant', isPrimary: true },
+      { tenantId: 'fs09', tenantName: 'FS09', isPrimary: false },
+    ];
+
+    beforeEach(() => {
+      global.fetch = jest.fn(() =>
+        Promise.resolve({
+          ok: true,
+          json: () => Promise.resolve({ id: '123' }),
+        })
+      );
+      fetchEntitlements.mockResolvedValue({});
+    });
+
+    it('waits for the user to choose one of several affiliations', async () => {
+      getSession.mockResolvedValue(mockSession);
+      fetchAffiliations.mockResolvedValue(affiliations);
+      setSessionAffiliation.mockResolvedValue({ ...mockSession, tenant: 'fs09', affiliation: 'fs09' });
+
+      const { result } = renderHook(() => useInitSession(affiliationConfig, mockBranding, mockLoginUrl), {
+        wrapper: createWrapper(),
+      });
+
+      await waitFor(() => {
+        expect(result.current.affiliations).toEqual(affiliations);
+      });
+
+      expect(fetchAffiliations).toHaveBeenCalledWith(affiliationConfig, 'test-tenant', '123');
+      expect(fetchEntitlements).not.toHaveBeenCalled();
+
+      await act(() => result.current.selectAffiliation('fs09'));
+
+      expect(setSessionAffiliation).toHaveBeenCalledWith('fs09');
+      expect(storeDefaultAffiliation).toHaveBeenCalledWith('123', 'fs09');
+      await waitFor(() => {
+        expect(fetchEntitlements).toHaveBeenCalledWith(affiliationConfig, 'fs09', {});
+      });
+      expect(result.current.affiliations).toBeUndefined();
+    });
+
+    it('carries on in the login tenant with a single affiliation', async () => {
+      getSession.mockResolvedValue(mockSession);
+      fetchAffiliations.mockResolvedValue(affiliations.slice(0, 1));
+
+      const { result } = renderHook(() => useInitSession(affiliationConfig, mockBranding, mockLoginUrl), {
+        wrapper: createWrapper(),
+      });
+
+      await waitFor(() => {
+        expect(fetchEntitlements).toHaveBeenCalledWith(affiliationConfig, 'test-tenant', {});
+      });
+      expect(result.current.affiliations).toBeUndefined();
+    });
+
+    it('carries on in the login tenant when affiliations cannot be fetched', async () => {
+      jest.spyOn(console, 'error').mockImplementation();
+      getSession.mockResolvedValue(mockSession);
+      fetchAffiliations.mockRejectedValue(new Error('nope'));
+
+      renderHook(() => useInitSession(affiliationConfig, mockBranding, mockLoginUrl), {
+        wrapper: createWrapper(),
+      });
+
+      await waitFor(() => {
+        expect(fetchEntitlements).toHaveBeenCalledWith(affiliationConfig, 'test-tenant', {});
+      });
+      console.error.mockRestore();
+    });
+
+    it('uses the affiliation already chosen in this session', async () => {
+      getSession.mockResolvedValue({ ...mockSession, tenant: 'fs09', affiliation: 'fs09' });
+
+      renderHook(() => useInitSession(affiliationConfig, mockBranding, mockLoginUrl), {
+        wrapper: createWrapper(),
+      });
+
+      await waitFor(() => {
+        expect(fetchEntitlements).toHaveBeenCalledWith(affiliationConfig, 'fs09', {});
+      });
+      expect(fetchAffiliations).not.toHaveBeenCalled();
+    });
+
+    it('does not ask without affiliationsUrl', async () => {
+      getSession.mockResolvedValue(mockSession);
+
+      renderHook(() => useInitSession(mockConfig, mockBranding, mockLoginUrl), {
+        wrapper: createWrapper(),
+      });
+
+      await waitFor(() => {
+        expect(fetchEntitlements).toHaveBeenCalledWith(mockConfig, 'test-tenant', {});
+      });
+      expect(fetchAffiliations).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('module cache', () => {
+    const stripesCore = { name: 'folio_stripes-core', location: 'https://stripes.example.com' };
+    const cachedDiscovery = { 'folio_stripes-core': stripesCore };
+
+    beforeEach(() => {
+      getSession.mockResolvedValue(mockSession);
+      global.fetch = jest.fn(() =>
+        Promise.resolve({
+          ok: true,
+          json: () => Promise.resolve({ id: '123' }),
+        })
+      );
+      fetchEntitlements.mockResolvedValue(mockEntitlement);
+      jest.spyOn(console, 'log').mockImplementation();
+      jest.spyOn(console, 'info').mockImplementation();
+    });
+
+    afterEach(() => {
+      console.log.mockRestore();
+      console.info.mockRestore();
+    });
+
+    it('starts stripes from a fresh cache and refreshes it in the background', async () => {
+      const responses = { 'https://api.example.com/x': { etag: '"1"', json: {} } };
+      getModuleCache.mockResolvedValue({ entitlement: mockEntitlement, discovery: cachedDiscovery, responses, isFresh: true });
+      fetchDiscovery.mockResolvedValue({ ...cachedDiscovery, app1: { name: 'app1' } });
+      loadStripes.mockResolvedValue();
+
+      const { result } = renderHook(() => useInitSession(mockConfig, mockBranding, mockLoginUrl), {
+        wrapper: createWrapper(),
+      });
+
+      await waitFor(() => {
+        expect(result.current.isStripesLoaded).toBe(true);
+      });
+      expect(loadStripes).toHaveBeenCalledWith(stripesCore);
+
+      await waitFor(() => {
+        expect(storeModuleCache).toHaveBeenCalled();
+      });
+      expect(fetchEntitlements).toHaveBeenCalledWith(mockConfig, 'test-tenant', responses);
+      expect(fetchDiscovery).toHaveBeenCalledWith(mockConfig, 'test-tenant', mockEntitlement, responses);
+      expect(storeModuleCache).toHaveBeenCalledWith(mockConfig, 'test-tenant', {
+        entitlement: mockEntitlement,
+        discovery: { ...cachedDiscovery, app1: { name: 'app1' } },
+        responses,
+      });
+      expect(console.info).toHaveBeenCalled();
+    });
+
+    it('does not report a failed background refresh', async () => {
+      getModuleCache.mockResolvedValue({ discovery: cachedDiscovery, responses: {}, isFresh: true });
+      fetchEntitlements.mockRejectedValue(new Error('offline'));
+      loadStripes.mockResolvedValue();
+
+      const { result } = renderHook(() => useInitSession(mockConfig, mockBranding, mockLoginUrl), {
+        wrapper: createWrapper(),
+      });
+
+      await waitFor(() => {
+        expect(result.current.isStripesLoaded).toBe(true);
+      });
+      await waitFor(() => {
+        expect(fetchEntitlements).toHaveBeenCalled();
+      });
+      expect(result.current.entitlementError).toBeNull();
+    });
+
+    it('does not load modules missing required interfaces with interfaceCheck: exclude', async () => {
+      const users = { id: 'folio_users-1.0.0', name: 'folio_users', module: '@folio/users' };
+      const inventory = {
+        id: 'folio_inventory-1.0.0',
+        name: 'folio_inventory',
+        module: '@folio/inventory',
+        missingInterfaces: [{ id: 'holdings', required: '3.2', provided: ['3.1'] }],
+      };
+      fetchDiscovery.mockResolvedValue({ ...cachedDiscovery, [users.id]: users, [inventory.id]: inventory });
+      loadStripes.mockResolvedValue();
+      jest.spyOn(localforage, 'setItem');
+      jest.spyOn(console, 'warn').mockImplementation();
+
+      const config = { ...mockConfig, interfaceCheck: 'exclude' };
+      const { result } = renderHook(() => useInitSession(config, mockBranding, mockLoginUrl), {
+        wrapper: createWrapper(),
+      });
+
+      await waitFor(() => {
+        expect(result.current.isStripesLoaded).toBe(true);
+      });
+      expect(localforage.setItem).toHaveBeenCalledWith(REMOTE_LIST_KEY, [users]);
+      expect(localforage.setItem).toHaveBeenCalledWith(EXCLUDED_MODULES_KEY, [inventory]);
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('folio_inventory'));
+      localforage.setItem.mockRestore();
+      console.warn.mockRestore();
+    });
+
+    it('loads modules missing required interfaces by default', async () => {
+      const tenantSettings = {
+        id: 'folio_tenant-settings-1.0.0',
+        name: 'folio_tenant-settings',
+        missingInterfaces: [{ id: 'entitlements', required: '1.1', provided: [] }],
+      };
+      fetchDiscovery.mockResolvedValue({ ...cachedDiscovery, [tenantSettings.id]: tenantSettings });
+      loadStripes.mockResolvedValue();
+      jest.spyOn(localforage, 'setItem');
+
+      const { result } = renderHook(() => useInitSession(mockConfig, mockBranding, mockLoginUrl), {
+        wrapper: createWrapper(),
+      });
+
+      await waitFor(() => {
+        expect(result.current.isStripesLoaded).toBe(true);
+      });
+      expect(localforage.setItem).toHaveBeenCalledWith(REMOTE_LIST_KEY, [tenantSettings]);
+      expect(localforage.setItem).toHaveBeenCalledWith(EXCLUDED_MODULES_KEY, []);
+      localforage.setItem.mockRestore();
+    });
+
+    it('loads modules from their overridden locations', async () => {
+      const overrides = { 'folio_stripes-core': 'http://localhost:3000' };
+      getModuleOverrides.mockReturnValue({ overrides, localOverrides: overrides });
+      applyModuleOverrides.mockImplementation((modules) => ({
+        ...modules,
+        'folio_stripes-core': { ...stripesCore, location: 'http://localhost:3000' },
+      }));
+      fetchDiscovery.mockResolvedValue(cachedDiscovery);
+      loadStripes.mockResolvedValue();
+
+      const { result } = renderHook(() => useInitSession(mockConfig, mockBranding, mockLoginUrl), {
+        wrapper: createWrapper(),
+      });
+
+      await waitFor(() => {
+        expect(result.current.isStripesLoaded).toBe(true);
+      });
+      expect(applyModuleOverrides).toHaveBeenCalledWith(cachedDiscovery, overrides);
+      expect(loadStripes).toHaveBeenCalledWith({ ...stripesCore, location: 'http://localhost:3000' });
+      expect(storeModuleCache).toHaveBeenCalledWith(mockConfig, 'test-tenant', expect.objectContaining({ discovery: cachedDiscovery }));
+      expect(result.current.moduleOverrides).toBe(overrides);
+      expect(result.current.hasLocalModuleOverrides).toBe(true);
+    });
+
+    it('waits for fresh data when the cache is stale', async () => {
+      getModuleCache.mockResolvedValue({ discovery: { 'folio_stripes-core': { ...stripesCore, location: 'https://old.example.com' } }, responses: {}, isFresh: false });
+      fetchDiscovery.mockResolvedValue(cachedDiscovery);
+      loadStripes.mockResolvedValue();
+
+      const { result } = renderHook(() => useInitSession(mockConfig, mockBranding, mockLoginUrl), {
+        wrapper: createWrapper(),
+      });
+
+      await waitFor(() => {
+        expect(result.current.isStripesLoaded).toBe(true);
+      });
+      expect(loadStripes).toHaveBeenCalledTimes(1);
+      expect(loadStripes).toHaveBeenCalledWith(stripesCore);
+      expect(storeModuleCache).toHaveBeenCalled();
+      expect(console.info).not.toHaveBeenCalled();
+    });
+  });
+
+  it('resets module overrides and reloads without them', () => {
+    getSession.mockResolvedValue(null);
+    globalThis.location = {
+      pathname: '/inventory',
+      search: `?filters=a&${MODULE_OVERRIDE_PARAM_PREFIX}folio_users=http://localhost:3001`,
+      assign: jest.fn(),
+    };
+
+    const { result } = renderHook(() => useInitSession(mockConfig, mockBranding, mockLoginUrl), {
+      wrapper: createWrapper(),
+    });
+
+    act(() => {
+      result.current.resetModuleOverrides();
+    });
+    expect(resetModuleOverrides).toHaveBeenCalled();
+    expect(globalThis.location.assign).toHaveBeenCalledWith('/inventory?filters=a');
+  });
 });
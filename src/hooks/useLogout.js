@@ -0,0 +1,37 @@
+import { useQuery } from 'react-query';
+
+import { hasSession, logout } from '../loginServices';
+
+/**
+ * End the current session, if there is one, then redirect through the
+ * identity provider's end-session endpoint, which returns to the logout page.
+ * On that return trip there is no longer a session to end, so this is a no-op
+ * and the caller can show that the user has been logged out.
+ *
+ * @param {object} config
+ * @returns {object} shaped like { isLoggingOut, error }
+ */
+const useLogout = (config) => {
+  const { isLoading, data, error } = useQuery(
+    ['@folio/stripes-core', 'logout'],
+    async () => {
+      const logoutUrl = await logout(config);
+      if (logoutUrl) {
+        globalThis.location.replace(logoutUrl);
+      }
+
+      return { isRedirecting: !!logoutUrl };
+    },
+    {
+      retry: false,
+      enabled: hasSession(),
+    }
+  );
+
+  return ({
+    isLoggingOut: isLoading || !!data?.isRedirecting,
+    error,
+  });
+};
+
+export default useLogout;
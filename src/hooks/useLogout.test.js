@@ -0,0 +1,64 @@
+import { renderHook } from '@folio/jest-config-stripes/testing-library/react';
+import { useQuery } from 'react-query';
+import useLogout from './useLogout';
+import { hasSession, logout } from '../loginServices';
+
+jest.mock('react-query');
+jest.mock('../loginServices');
+
+describe('useLogout', () => {
+  const mockConfig = {
+    gatewayUrl: 'http://gateway.example.com',
+    authnUrl: 'http://authn.example.com',
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    globalThis.location = {
+      replace: jest.fn(),
+    };
+    useQuery.mockReturnValue({ isLoading: false, data: undefined, error: null });
+  });
+
+  it('only runs when there is a session to end', () => {
+    hasSession.mockReturnValue(false);
+
+    const { result } = renderHook(() => useLogout(mockConfig));
+    expect(useQuery).toHaveBeenCalledWith(
+      ['@folio/stripes-core', 'logout'],
+      expect.any(Function),
+      expect.objectContaining({ enabled: false, retry: false })
+    );
+    expect(result.current.isLoggingOut).toBe(false);
+  });
+
+  it('redirects to the provider logout URL', async () => {
+    hasSession.mockReturnValue(true);
+    logout.mockResolvedValue('http://authn.example.com/logout');
+
+    renderHook(() => useLogout(mockConfig));
+    const queryFn = useQuery.mock.calls[0][1];
+
+    expect(await queryFn()).toEqual({ isRedirecting: true });
+    expect(logout).toHaveBeenCalledWith(mockConfig);
+    expect(globalThis.location.replace).toHaveBeenCalledWith('http://authn.example.com/logout');
+  });
+
+  it('does not redirect when there is no provider logout URL', async () => {
+    hasSession.mockReturnValue(true);
+    logout.mockResolvedValue(undefined);
+
+    renderHook(() => useLogout(mockConfig));
+    const queryFn = useQuery.mock.calls[0][1];
+
+    expect(await queryFn()).toEqual({ isRedirecting: false });
+    expect(globalThis.location.replace).not.toHaveBeenCalled();
+  });
+
+  it('reports logging out while redirecting', () => {
+    useQuery.mockReturnValue({ isLoading: false, data: { isRedirecting: true }, error: null });
+
+    const { result } = renderHook(() => useLogout(mockConfig));
+    expect(result.current.isLoggingOut).toBe(true);
+  });
+});
@@ -0,0 +1,43 @@
+import { useEffect } from 'react';
+
+import { SESSION_CHANNEL, SESSION_EVENTS } from '../loginServices';
+import { urlPaths } from '../constants';
+
+/**
+ * useSessionSync
+ * Keep a hub tab in step with session changes made in other hub tabs:
+ * * after a login elsewhere, reload into the app
+ * * after a logout elsewhere, return to login
+ * * after a tenant switch elsewhere, reload to pick up the new tenant
+ *
+ * @param {object} options
+ * @param {boolean} options.enabled false to stop listening, e.g. once stripes has taken over the page
+ *
+ * @see loginServices.broadcastSessionEvent
+ */
+const useSessionSync = ({ enabled = true } = {}) => {
+  useEffect(() => {
+    if (!enabled || typeof BroadcastChannel === 'undefined') return undefined;
+
+    const channel = new BroadcastChannel(SESSION_CHANNEL);
+    channel.onmessage = ({ data }) => {
+      switch (data?.type) {
+        case SESSION_EVENTS.LOGIN:
+          globalThis.location.replace('/');
+          break;
+        case SESSION_EVENTS.LOGOUT:
+          globalThis.location.replace(`/${urlPaths.AUTHN_LOGIN}`);
+          break;
+        case SESSION_EVENTS.TENANT_SWITCH:
+          globalThis.location.reload();
+          break;
+        default:
+          break;
+      }
+    };
+
+    return () => channel.close();
+  }, [enabled]);
+};
+
+export default useSessionSync;
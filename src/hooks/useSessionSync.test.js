@@ -0,0 +1,66 @@
+import { renderHook } from '@folio/jest-config-stripes/testing-library/react';
+import useSessionSync from './useSessionSync';
+import { SESSION_CHANNEL, SESSION_EVENTS } from '../loginServices';
+
+describe('useSessionSync', () => {
+  let channels;
+  const originalBroadcastChannel = globalThis.BroadcastChannel;
+
+  beforeEach(() => {
+    channels = [];
+    globalThis.BroadcastChannel = jest.fn(function MockBroadcastChannel(name) {
+      this.name = name;
+      this.close = jest.fn();
+      channels.push(this);
+    });
+    globalThis.location = {
+      replace: jest.fn(),
+      reload: jest.fn(),
+    };
+  });
+
+  afterEach(() => {
+    globalThis.BroadcastChannel = originalBroadcastChannel;
+  });
+
+  const receive = (data) => channels[0].onmessage({ data });
+
+  it('listens on the session channel and closes it on unmount', () => {
+    const { unmount } = renderHook(() => useSessionSync());
+    expect(channels).toHaveLength(1);
+    expect(channels[0].name).toBe(SESSION_CHANNEL);
+
+    unmount();
+    expect(channels[0].close).toHaveBeenCalled();
+  });
+
+  it('does not listen when disabled', () => {
+    renderHook(() => useSessionSync({ enabled: false }));
+    expect(channels).toHaveLength(0);
+  });
+
+  it('reloads into the app after a login elsewhere', () => {
+    renderHook(() => useSessionSync());
+    receive({ type: SESSION_EVENTS.LOGIN, tenant: 'diku' });
+    expect(globalThis.location.replace).toHaveBeenCalledWith('/');
+  });
+
+  it('returns to login after a logout elsewhere', () => {
+    renderHook(() => useSessionSync());
+    receive({ type: SESSION_EVENTS.LOGOUT, tenant: 'diku' });
+    expect(globalThis.location.replace).toHaveBeenCalledWith('/authn-login');
+  });
+
+  it('reloads after a tenant switch elsewhere', () => {
+    renderHook(() => useSessionSync());
+    receive({ type: SESSION_EVENTS.TENANT_SWITCH, tenant: 'fs09' });
+    expect(globalThis.location.reload).toHaveBeenCalled();
+  });
+
+  it('ignores unknown messages', () => {
+    renderHook(() => useSessionSync());
+    receive({ type: 'bogus' });
+    expect(globalThis.location.replace).not.toHaveBeenCalled();
+    expect(globalThis.location.reload).not.toHaveBeenCalled();
+  });
+});
@@ -3,32 +3,42 @@ import ReactDOM from 'react-dom/client';
 import { IntlProvider } from 'react-intl';
 import { QueryClientProvider } from 'react-query';
 
+import { loadConfig } from './loadConfig';
+import { loadTenantRegistry } from './loadTenantRegistry';
 import { loadTranslations } from './loadTranslations';
-import { isValidConfig } from './loginServices';
+import { getLocale, getTenantBranding, isValidConfig } from './loginServices';
 import createReactQueryClient from './createReactQueryClient';
 import Router from './Router';
 import ConfigError from './ConfigError';
-import configuration from '../config.yaml';
+import { urlPaths } from './constants';
+import buildConfiguration from '../config.yaml';
 
-const config = configuration.config || {};
-const branding = configuration.branding || {};
 const location = globalThis.location;
-const locale = config.locale || navigator.language || 'en-US';
-const translations = loadTranslations(locale);
 const reactQueryClient = createReactQueryClient();
-
 const root = ReactDOM.createRoot(document.getElementById('root'));
-const Component = isValidConfig(config) ?
-  <Router branding={branding} config={config} location={location} />
-  :
-  <ConfigError branding={branding} config={config} />
 
-root.render(
-  <React.StrictMode>
-    <QueryClientProvider client={reactQueryClient}>
-      <IntlProvider locale={locale} messages={translations} >
-        {Component}
-      </IntlProvider>
-    </QueryClientProvider>
-  </React.StrictMode>
-);
+// only pages where the user chooses a tenant wait for an up-to-date tenant registry
+const TENANT_CHOICE_ROUTES = [urlPaths.AUTHN_LOGIN, urlPaths.FORGOT_PASSWORD, urlPaths.FORGOT_USERNAME];
+const cachedOnly = !TENANT_CHOICE_ROUTES.includes(location.pathname.split('/')[1]);
+
+loadConfig(buildConfiguration).then(async ({ configuration, error }) => {
+  const config = error ? (configuration.config || {}) : await loadTenantRegistry(configuration.config || {}, { cachedOnly });
+  const branding = configuration.branding || {};
+  const locale = getLocale(config);
+  const translations = loadTranslations(locale);
+
+  const Component = !error && isValidConfig(config) ?
+    <Router branding={getTenantBranding(config, branding)} config={config} location={location} />
+    :
+    <ConfigError branding={branding} config={config} error={error} />
+
+  root.render(
+    <React.StrictMode>
+      <QueryClientProvider client={reactQueryClient}>
+        <IntlProvider locale={locale} messages={translations} >
+          {Component}
+        </IntlProvider>
+      </QueryClientProvider>
+    </React.StrictMode>
+  );
+});
@@ -0,0 +1,77 @@
+import yaml from 'js-yaml';
+
+import { StripesHubError } from './loginServices';
+
+/** default location of the runtime configuration document */
+export const DEFAULT_CONFIG_URL = '/hub-config.json';
+
+/**
+ * loadConfig
+ * Fetch the runtime configuration document, shaped just like config.yaml,
+ * i.e. { config: {...}, branding: {...} }. This allows a single build to be
+ * promoted across environments, with each environment serving its own
+ * configuration document alongside the bundle.
+ *
+ * The URL of the document is read from the build-time value `config.configUrl`
+ * and defaults to /hub-config.json. The document is parsed as YAML if the URL
+ * ends in .yaml or .yml or the response's Content-Type says YAML, and as JSON
+ * otherwise. If the document does not exist (404, or a successful response
+ * with neither, e.g. a server falling back to index.html) the build-time
+ * configuration is used as-is. Sections in the runtime document replace the corresponding
+ * build-time sections.
+ *
+ * Any other failure, including an error response such as a proxy's 502 page,
+ * is fatal: falling back to build-time values could point the hub at the
+ * wrong environment. In that case the build-time configuration is returned
+ * along with an error describing the failure.
+ *
+ * @param {object} buildConfiguration build-time configuration, i.e. the parsed config.yaml
+ * @returns {Promise<object>} shaped like { configuration, error }
+ */
+export const loadConfig = async (buildConfiguration = {}) => {
+  const url = buildConfiguration.config?.configUrl ?? DEFAULT_CONFIG_URL;
+  const isYamlUrl = /\.ya?ml$/i.test(url.split(/[?#]/)[0]);
+
+  try {
+    const res = await fetch(url, {
+      headers: { 'Accept': isYamlUrl ? 'application/yaml, text/yaml' : 'application/json' },
+      cache: 'no-store',
+    });
+
+    if (res.status === 404) {
+      console.info(`No runtime configuration found at ${url}; using build-time configuration`);
+      return { configuration: buildConfiguration };
+    }
+
+    if (!res.ok) {
+      throw new Error(`Fetch to ${url} failed: ${res.status} ${res.statusText}`);
+    }
+
+    // static servers label YAML inconsistently, so trust a YAML URL unless
+    // the response is clearly an HTML fallback page
+    const contentType = res.headers.get('Content-Type') ?? '';
+    const isYaml = contentType.includes('yaml') || (isYamlUrl && !contentType.includes('html'));
+    if (!isYaml && !contentType.includes('application/json')) {
+      console.info(`No runtime configuration found at ${url}; using build-time configuration`);
+      return { configuration: buildConfiguration };
+    }
+
+    const document = isYaml ? yaml.load(await res.text()) : await res.json();
+
+    return {
+      configuration: {
+        ...buildConfiguration,
+        ...document,
+      },
+    };
+  } catch (error) {
+    console.error(error);
+    return {
+      configuration: buildConfiguration,
+      error: new StripesHubError(
+        `Config fetch error at ${url}`,
+        { url, id: 'stripes-hub.error.configFetch', cause: error }
+      ),
+    };
+  }
+};
@@ -0,0 +1,154 @@
+import { DEFAULT_CONFIG_URL, loadConfig } from './loadConfig';
+
+/** Factory for consistent mock fetch responses. */
+const makeFetchResponse = ({ ok = true, jsonData = {}, textData = '', status = 200, statusText = 'OK', contentType = 'application/json' } = {}) => ({
+  ok,
+  status,
+  statusText,
+  json: jest.fn().mockResolvedValue(jsonData),
+  text: jest.fn().mockResolvedValue(textData),
+  headers: { get: jest.fn().mockReturnValue(contentType) },
+});
+
+const buildConfiguration = {
+  config: {
+    gatewayUrl: 'https://build-gateway.example.com',
+    authnUrl: 'https://build-authn.example.com',
+    tenantOptions: { diku: { name: 'diku', clientId: 'diku-app' } },
+  },
+  branding: { logo: { src: '/build-logo.png', alt: 'build' } },
+};
+
+describe('loadConfig', () => {
+  beforeEach(() => {
+    globalThis.fetch = jest.fn();
+    jest.spyOn(console, 'info').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('fetches the default URL when configUrl is not configured', async () => {
+    globalThis.fetch.mockResolvedValue(makeFetchResponse({ status: 404, ok: false }));
+
+    await loadConfig(buildConfiguration);
+    expect(globalThis.fetch).toHaveBeenCalledWith(DEFAULT_CONFIG_URL, expect.any(Object));
+  });
+
+  it('fetches config.configUrl when configured', async () => {
+    globalThis.fetch.mockResolvedValue(makeFetchResponse({ status: 404, ok: false }));
+
+    await loadConfig({ config: { configUrl: '/config/hub.json' } });
+    expect(globalThis.fetch).toHaveBeenCalledWith('/config/hub.json', expect.any(Object));
+  });
+
+  it('replaces build-time sections with runtime sections', async () => {
+    const runtime = {
+      config: {
+        gatewayUrl: 'https://runtime-gateway.example.com',
+        authnUrl: 'https://runtime-authn.example.com',
+        tenantOptions: { fs09: { name: 'fs09', clientId: 'fs09-app' } },
+      },
+    };
+    globalThis.fetch.mockResolvedValue(makeFetchResponse({ jsonData: runtime }));
+
+    const { configuration, error } = await loadConfig(buildConfiguration);
+    expect(error).toBeUndefined();
+    expect(configuration.config).toEqual(runtime.config);
+    expect(configuration.branding).toEqual(buildConfiguration.branding);
+  });
+
+  it('falls back to build-time configuration on 404', async () => {
+    globalThis.fetch.mockResolvedValue(makeFetchResponse({ status: 404, ok: false, statusText: 'Not Found' }));
+
+    const { configuration, error } = await loadConfig(buildConfiguration);
+    expect(error).toBeUndefined();
+    expect(configuration).toEqual(buildConfiguration);
+  });
+
+  it('falls back to build-time configuration when the response is not JSON', async () => {
+    globalThis.fetch.mockResolvedValue(makeFetchResponse({ contentType: 'text/html' }));
+
+    const { configuration, error } = await loadConfig(buildConfiguration);
+    expect(error).toBeUndefined();
+    expect(configuration).toEqual(buildConfiguration);
+  });
+
+  it('returns an error when the server fails', async () => {
+    globalThis.fetch.mockResolvedValue(makeFetchResponse({ status: 500, ok: false, statusText: 'Server Error' }));
+
+    const { configuration, error } = await loadConfig(buildConfiguration);
+    expect(configuration).toEqual(buildConfiguration);
+    expect(error.options.id).toBe('stripes-hub.error.configFetch');
+    expect(error.options.url).toBe(DEFAULT_CONFIG_URL);
+  });
+
+  it('returns an error when a proxy answers with an HTML error page', async () => {
+    globalThis.fetch.mockResolvedValue(makeFetchResponse({ status: 502, ok: false, statusText: 'Bad Gateway', contentType: 'text/html' }));
+
+    const { configuration, error } = await loadConfig(buildConfiguration);
+    expect(configuration).toEqual(buildConfiguration);
+    expect(error.options.id).toBe('stripes-hub.error.configFetch');
+    expect(console.info).not.toHaveBeenCalled();
+  });
+
+  describe('YAML', () => {
+    const yamlConfiguration = { ...buildConfiguration, config: { ...buildConfiguration.config, configUrl: '/config.yaml' } };
+    const textData = 'branding:\n  logo:\n    src: /runtime-logo.png\n    alt: runtime\n';
+
+    it('parses a document at a YAML configUrl, whatever its Content-Type', async () => {
+      globalThis.fetch.mockResolvedValue(makeFetchResponse({ textData, contentType: 'text/plain' }));
+
+      const { configuration, error } = await loadConfig(yamlConfiguration);
+      expect(error).toBeUndefined();
+      expect(globalThis.fetch).toHaveBeenCalledWith('/config.yaml', expect.objectContaining({
+        headers: { 'Accept': 'application/yaml, text/yaml' },
+      }));
+      expect(configuration).toEqual({
+        config: yamlConfiguration.config,
+        branding: { logo: { src: '/runtime-logo.png', alt: 'runtime' } },
+      });
+    });
+
+    it('parses a document served as YAML', async () => {
+      globalThis.fetch.mockResolvedValue(makeFetchResponse({ textData, contentType: 'application/yaml' }));
+
+      const { configuration } = await loadConfig(buildConfiguration);
+      expect(configuration.branding.logo.src).toBe('/runtime-logo.png');
+    });
+
+    it('falls back to build-time configuration when a YAML configUrl answers with HTML', async () => {
+      globalThis.fetch.mockResolvedValue(makeFetchResponse({ textData: '<!doctype html>', contentType: 'text/html' }));
+
+      const { configuration, error } = await loadConfig(yamlConfiguration);
+      expect(error).toBeUndefined();
+      expect(configuration).toEqual(yamlConfiguration);
+    });
+
+    it('returns an error when the document cannot be parsed', async () => {
+      globalThis.fetch.mockResolvedValue(makeFetchResponse({ textData: 'branding: [', contentType: 'application/yaml' }));
+
+      const { error } = await loadConfig(buildConfiguration);
+      expect(error.options.id).toBe('stripes-hub.error.configFetch');
+    });
+  });
+
+  it('returns an error when the fetch rejects', async () => {
+    globalThis.fetch.mockRejectedValue(new Error('network down'));
+
+    const { error } = await loadConfig(buildConfiguration);
+    expect(error.options.id).toBe('stripes-hub.error.configFetch');
+    expect(error.options.cause.message).toBe('network down');
+  });
+
+  it('returns an error when the document cannot be parsed', async () => {
+    const res = makeFetchResponse();
+    res.json.mockRejectedValue(new SyntaxError('Unexpected token'));
+    globalThis.fetch.mockResolvedValue(res);
+
+    const { error } = await loadConfig(buildConfiguration);
+    expect(error.options.id).toBe('stripes-hub.error.configFetch');
+  });
+});
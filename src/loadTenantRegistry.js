@@ -0,0 +1,128 @@
+/** key for caching the tenant registry in local storage */
+export const TENANT_REGISTRY_KEY = 'tenantRegistry';
+
+/** how long a cached tenant registry is used before it is fetched again, in milliseconds */
+export const TENANT_REGISTRY_TTL = 15 * 60 * 1000;
+
+/** how long to wait for the registry before giving up on it, in milliseconds */
+export const TENANT_REGISTRY_TIMEOUT = 10 * 1000;
+
+/** tenantOptions attributes a registry entry may provide */
+const REGISTRY_ATTRIBUTES = ['name', 'clientId', 'displayName', 'sortableName', 'aliases', 'branding'];
+
+/**
+ * parseTenantRegistry
+ * Convert a registry document, either a list of tenants or an object with a
+ * `tenants` list, to a tenantOptions-style map keyed by tenant name. Entries
+ * without a name and clientId are skipped.
+ *
+ * @param {object|object[]} json registry document
+ * @returns {object} tenants keyed by name
+ */
+export const parseTenantRegistry = (json) => {
+  const list = Array.isArray(json) ? json : json?.tenants;
+  if (!Array.isArray(list)) {
+    throw new Error('Tenant registry does not contain a list of tenants');
+  }
+
+  return list.reduce((tenants, entry) => {
+    if (typeof entry?.name !== 'string' || typeof entry?.clientId !== 'string') {
+      console.warn('Ignoring tenant registry entry without a name and clientId', entry);
+      return tenants;
+    }
+
+    tenants[entry.name] = Object.fromEntries(
+      REGISTRY_ATTRIBUTES.filter(key => key in entry).map(key => [key, entry[key]])
+    );
+
+    return tenants;
+  }, {});
+};
+
+/**
+ * withRegistryTenants
+ * Merge registry tenants into config.tenantOptions. Static entries stay
+ * available, and supply per-tenant values the registry does not, such as
+ * authnUrl or gatewayUrl overrides.
+ *
+ * @param {object} config
+ * @param {object} tenants registry tenants keyed by name
+ * @returns {object} config with merged tenantOptions
+ */
+const withRegistryTenants = (config, tenants) => {
+  const tenantOptions = { ...config.tenantOptions };
+  Object.entries(tenants).forEach(([name, tenant]) => {
+    tenantOptions[name] = { ...tenantOptions[name], ...tenant };
+  });
+
+  return { ...config, tenantOptions };
+};
+
+/**
+ * readCachedRegistry
+ * Retrieve the cached registry for url, if there is one.
+ *
+ * @param {string} url
+ * @returns {object|undefined} shaped like { url, fetchedAt, tenants }
+ */
+const readCachedRegistry = (url) => {
+  try {
+    const cached = JSON.parse(localStorage.getItem(TENANT_REGISTRY_KEY));
+    return cached?.url === url ? cached : undefined;
+  } catch {
+    return undefined;
+  }
+};
+
+/**
+ * loadTenantRegistry
+ * When config.tenantRegistryUrl is set, fetch the list of tenants from it and
+ * merge them into config.tenantOptions, so consortia can add member libraries
+ * without redeploying the hub. The registry is cached in local storage for
+ * TENANT_REGISTRY_TTL, since every hub page is a fresh page load.
+ *
+ * Only pages where the user chooses a tenant need an up-to-date list; the
+ * others pass cachedOnly to make do with whatever is cached, however old,
+ * and only wait on the registry when nothing is.
+ *
+ * Never throws: if the fetch fails or takes longer than
+ * TENANT_REGISTRY_TIMEOUT, a stale cached registry is used if there is one,
+ * and otherwise the static tenantOptions are used as-is.
+ *
+ * @param {object} config
+ * @param {object} options
+ * @param {boolean} options.cachedOnly use any cached registry, only fetching it if there is none
+ * @returns {Promise<object>} config with tenantOptions from the registry
+ */
+export const loadTenantRegistry = async (config = {}, { cachedOnly = false } = {}) => {
+  const { tenantRegistryUrl: url } = config;
+  if (!url) return config;
+
+  const cached = readCachedRegistry(url);
+  if (cached && (cachedOnly || Date.now() - cached.fetchedAt < TENANT_REGISTRY_TTL)) {
+    return withRegistryTenants(config, cached.tenants);
+  }
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), TENANT_REGISTRY_TIMEOUT);
+  try {
+    const res = await fetch(url, {
+      headers: { 'Accept': 'application/json' },
+      signal: controller.signal,
+    });
+
+    if (!res.ok) {
+      throw new Error(`Fetch to ${url} failed: ${res.status} ${res.statusText}`);
+    }
+
+    const tenants = parseTenantRegistry(await res.json());
+    localStorage.setItem(TENANT_REGISTRY_KEY, JSON.stringify({ url, fetchedAt: Date.now(), tenants }));
+
+    return withRegistryTenants(config, tenants);
+  } catch (error) {
+    console.error(`Tenant registry fetch error at ${url}; using ${cached ? 'cached' : 'static'} tenantOptions`, error);
+    return cached ? withRegistryTenants(config, cached.tenants) : config;
+  } finally {
+    clearTimeout(timeout);
+  }
+};
@@ -0,0 +1,199 @@
+import {
+  TENANT_REGISTRY_KEY,
+  TENANT_REGISTRY_TIMEOUT,
+  TENANT_REGISTRY_TTL,
+  loadTenantRegistry,
+  parseTenantRegistry,
+} from './loadTenantRegistry';
+import { isValidConfig } from './loginServices';
+
+/** Factory for consistent mock fetch responses. */
+const makeFetchResponse = ({ ok = true, jsonData = [], status = 200, statusText = 'OK' } = {}) => ({
+  ok,
+  status,
+  statusText,
+  json: jest.fn().mockResolvedValue(jsonData),
+});
+
+const registryUrl = 'https://registry.example.com/tenants.json';
+
+const config = {
+  gatewayUrl: 'https://gateway.example.com',
+  tenantRegistryUrl: registryUrl,
+  tenantOptions: {
+    diku: { name: 'diku', clientId: 'diku-app', authnUrl: 'https://diku-authn.example.com' },
+  },
+};
+
+const registry = [
+  { name: 'diku', clientId: 'diku-registry-app', displayName: 'Diku' },
+  { name: 'fs09', clientId: 'fs09-app', branding: { logo: { src: '/fs09.png', alt: 'FS09' } } },
+];
+
+describe('parseTenantRegistry', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('accepts a list of tenants', () => {
+    expect(Object.keys(parseTenantRegistry(registry))).toEqual(['diku', 'fs09']);
+  });
+
+  it('accepts an object with a tenants list', () => {
+    expect(Object.keys(parseTenantRegistry({ tenants: registry }))).toEqual(['diku', 'fs09']);
+  });
+
+  it('rejects a document without a list of tenants', () => {
+    expect(() => parseTenantRegistry({ diku: {} })).toThrow('Tenant registry does not contain a list of tenants');
+  });
+
+  it('skips entries without a name and clientId', () => {
+    expect(parseTenantRegistry([{ name: 'nope' }, ...registry])).not.toHaveProperty('nope');
+    expect(console.warn).toHaveBeenCalled();
+  });
+
+  it('keeps only tenant attributes', () => {
+    const tenants = parseTenantRegistry([{ name: 'diku', clientId: 'diku-app', gatewayUrl: 'https://evil.example.com' }]);
+    expect(tenants.diku).toEqual({ name: 'diku', clientId: 'diku-app' });
+  });
+});
+
+describe('loadTenantRegistry', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    globalThis.fetch = jest.fn();
+    jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('returns config untouched when there is no registry', async () => {
+    const staticConfig = { tenantOptions: config.tenantOptions };
+    expect(await loadTenantRegistry(staticConfig)).toBe(staticConfig);
+    expect(globalThis.fetch).not.toHaveBeenCalled();
+  });
+
+  it('merges registry tenants into tenantOptions', async () => {
+    globalThis.fetch.mockResolvedValue(makeFetchResponse({ jsonData: registry }));
+
+    const { tenantOptions } = await loadTenantRegistry(config);
+    expect(globalThis.fetch).toHaveBeenCalledWith(registryUrl, expect.any(Object));
+    expect(tenantOptions.diku).toEqual({
+      name: 'diku',
+      clientId: 'diku-registry-app',
+      displayName: 'Diku',
+      authnUrl: 'https://diku-authn.example.com',
+    });
+    expect(tenantOptions.fs09.clientId).toBe('fs09-app');
+  });
+
+  it('caches the registry', async () => {
+    globalThis.fetch.mockResolvedValue(makeFetchResponse({ jsonData: registry }));
+
+    await loadTenantRegistry(config);
+    const { tenantOptions } = await loadTenantRegistry(config);
+    expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+    expect(tenantOptions).toHaveProperty('fs09');
+  });
+
+  it('refetches an expired cache', async () => {
+    localStorage.setItem(TENANT_REGISTRY_KEY, JSON.stringify({
+      url: registryUrl,
+      fetchedAt: Date.now() - TENANT_REGISTRY_TTL - 1,
+      tenants: {},
+    }));
+    globalThis.fetch.mockResolvedValue(makeFetchResponse({ jsonData: registry }));
+
+    const { tenantOptions } = await loadTenantRegistry(config);
+    expect(globalThis.fetch).toHaveBeenCalled();
+    expect(tenantOptions).toHaveProperty('fs09');
+  });
+
+  it('ignores a cache for a different registry', async () => {
+    localStorage.setItem(TENANT_REGISTRY_KEY, JSON.stringify({
+      url: 'https://other.example.com/tenants.json',
+      fetchedAt: Date.now(),
+      tenants: {},
+    }));
+    globalThis.fetch.mockResolvedValue(makeFetchResponse({ jsonData: registry }));
+
+    await loadTenantRegistry(config);
+    expect(globalThis.fetch).toHaveBeenCalled();
+  });
+
+  it('falls back to a stale cache when the fetch fails', async () => {
+    localStorage.setItem(TENANT_REGISTRY_KEY, JSON.stringify({
+      url: registryUrl,
+      fetchedAt: 0,
+      tenants: { fs09: { name: 'fs09', clientId: 'fs09-app' } },
+    }));
+    globalThis.fetch.mockResolvedValue(makeFetchResponse({ ok: false, status: 500, statusText: 'Server Error' }));
+
+    const { tenantOptions } = await loadTenantRegistry(config);
+    expect(tenantOptions).toHaveProperty('fs09');
+    expect(console.error).toHaveBeenCalled();
+  });
+
+  it('falls back to static tenantOptions when the fetch fails', async () => {
+    globalThis.fetch.mockRejectedValue(new Error('network down'));
+
+    expect(await loadTenantRegistry(config)).toBe(config);
+    expect(console.error).toHaveBeenCalled();
+  });
+
+  it('gives up on a registry that does not answer in time', async () => {
+    jest.useFakeTimers();
+    globalThis.fetch.mockImplementation((_url, { signal }) => new Promise((_resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new Error('aborted')));
+    }));
+
+    const result = loadTenantRegistry(config);
+    jest.advanceTimersByTime(TENANT_REGISTRY_TIMEOUT);
+    expect(await result).toBe(config);
+    expect(console.error).toHaveBeenCalled();
+    jest.useRealTimers();
+  });
+
+  describe('cachedOnly', () => {
+    it('uses an expired cache without fetching', async () => {
+      localStorage.setItem(TENANT_REGISTRY_KEY, JSON.stringify({
+        url: registryUrl,
+        fetchedAt: 0,
+        tenants: { fs09: { name: 'fs09', clientId: 'fs09-app' } },
+      }));
+
+      const { tenantOptions } = await loadTenantRegistry(config, { cachedOnly: true });
+      expect(globalThis.fetch).not.toHaveBeenCalled();
+      expect(tenantOptions).toHaveProperty('fs09');
+    });
+
+    it('fetches the registry without a cache', async () => {
+      globalThis.fetch.mockResolvedValue(makeFetchResponse({ jsonData: registry }));
+
+      const { tenantOptions } = await loadTenantRegistry(config, { cachedOnly: true });
+      expect(globalThis.fetch).toHaveBeenCalledWith(registryUrl, expect.any(Object));
+      expect(tenantOptions).toHaveProperty('fs09');
+    });
+
+    it('loads a registry-only config on a cold cache, e.g. opening /', async () => {
+      const registryOnly = {
+        gatewayUrl: 'https://gateway.example.com',
+        authnUrl: 'https://authn.example.com',
+        tenantRegistryUrl: registryUrl,
+        tenantOptions: {},
+      };
+      expect(isValidConfig(registryOnly)).toBe(true);
+      globalThis.fetch.mockResolvedValue(makeFetchResponse({ jsonData: registry }));
+
+      const loaded = await loadTenantRegistry(registryOnly, { cachedOnly: true });
+      expect(Object.keys(loaded.tenantOptions)).toEqual(['diku', 'fs09']);
+      expect(isValidConfig(loaded)).toBe(true);
+    });
+  });
+});
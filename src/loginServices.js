@@ -10,6 +10,60 @@ export const SESSION_NAME = 'okapiSess';
 /** key for storing tenant info in local storage */
 export const TENANT_LOCAL_STORAGE_KEY = 'tenant';
 
+/** key for storing the names of recently used tenants, most recent first, in local storage */
+const RECENT_TENANTS_KEY = 'recentTenants';
+
+/** how many recently used tenants to remember */
+const RECENT_TENANTS_MAX = 5;
+
+/** key prefix for caching each tenant's entitlement and discovery data in localforage */
+export const MODULE_CACHE_KEY = 'moduleCache';
+
+/** how long cached entitlement and discovery data is fresh, in seconds, unless config.moduleCacheTtl says otherwise */
+const DEFAULT_MODULE_CACHE_TTL = 60 * 60;
+
+/** key for storing each user's last-chosen affiliation, keyed by user ID, in local storage */
+const DEFAULT_AFFILIATIONS_KEY = 'defaultAffiliations';
+
+/** key for storing the response from _self in localforage */
+const LOGIN_RESPONSE_KEY = 'loginResponse';
+
+/** name for whatever the entitlement service will call the hub app (stripes, stripes-core, etc.) */
+export const HOST_APP_NAME = 'folio_stripes';
+
+/** name for FOLIO config stored in localforage to be used by entitled applications (such as stripes-core) */
+export const FOLIO_CONFIG_KEY = 'folio_config';
+
+/** name for FOLIO branding file locations to be used by entitled applications (such as stripes-core) */
+export const FOLIO_BRANDING_KEY = 'branding_config';
+
+// localstorage keys to-be-ingested by stripes-core
+export const DISCOVERY_URL_KEY = 'discoveryUrl';
+export const HOST_URL_KEY = 'hostUrl';
+export const REMOTE_LIST_KEY = 'entitlements';
+
+/**
+ * what to do with UI modules requiring interfaces the backend does not provide,
+ * unless config.interfaceCheck says otherwise: 'exclude' them, only 'warn'
+ * about them, or do not check at all ('off'). Interfaces served outside
+ * applications are missing from the entitled module descriptors, so only
+ * warning is the safe default.
+ */
+export const DEFAULT_INTERFACE_CHECK = 'warn';
+
+/** key for UI modules left out of REMOTE_LIST_KEY because the backend does not provide the interfaces they require */
+export const EXCLUDED_MODULES_KEY = 'excludedModules';
+
+/** name of the BroadcastChannel hub tabs use to tell each other about session changes */
+export const SESSION_CHANNEL = 'stripes-hub-session';
+
+/** types of message sent on SESSION_CHANNEL */
+export const SESSION_EVENTS = {
+  LOGIN: 'login',
+  LOGOUT: 'logout',
+  TENANT_SWITCH: 'tenantSwitch',
+};
+
 const STORAGE_SAFE_IDENTIFIER_CHARS = /[^A-Za-z0-9._:~-]/g;
 
 const sanitizeStorageValue = (value) => {
@@ -59,15 +113,303 @@ export const getOIDCRedirectUri = (name, clientId) => {
   return encodeURIComponent(`${globalThis.location.protocol}//${globalThis.location.host}/oidc-landing?tenant=${name}&client_id=${clientId}`);
 };
 
+/**
+ * getTenantConfig
+ * Resolve the config for the given tenant: tenantOptions entries may override
+ * the global authnUrl, gatewayUrl and openIdConfigurationUrl values, and may
+ * provide a Keycloak realm name that differs from the tenant name.
+ *
+ * @param {object} config
+ * @param {string} name the tenant name
+ * @returns {object} config with tenant-specific authnUrl, gatewayUrl, openIdConfigurationUrl and realm values
+ */
+export const getTenantConfig = (config, name) => {
+  const tenant = config?.tenantOptions?.[name] ?? {};
+
+  return {
+    ...config,
+    authnUrl: tenant.authnUrl ?? config?.authnUrl,
+    gatewayUrl: tenant.gatewayUrl ?? config?.gatewayUrl,
+    openIdConfigurationUrl: tenant.openIdConfigurationUrl ?? config?.openIdConfigurationUrl,
+    realm: tenant.realm ?? name,
+  };
+};
+
+/** OpenID provider configurations, keyed by tenant name */
+const openIdConfigurations = {};
+
+/**
+ * requestOpenIdConfiguration
+ * Fetch an OpenID discovery document. Throws if response is not ok.
+ *
+ * @param {string} url URL of the discovery document
+ * @returns {Promise<object>} resolves to the JSON response
+ */
+const requestOpenIdConfiguration = async (url) => {
+  const res = await fetch(url, { headers: { 'Accept': 'application/json' } });
+  if (res.ok) {
+    return res.json();
+  }
+
+  throw new Error(`Fetch to ${url} failed: ${res.status} ${res.statusText}`);
+};
+
+/**
+ * fetchOpenIdConfiguration
+ * Retrieve the OpenID provider configuration (authorization_endpoint,
+ * end_session_endpoint, etc.) for the given tenant from its discovery
+ * document, by default {authnUrl}/realms/{realm}/.well-known/openid-configuration,
+ * or from openIdConfigurationUrl if configured. Successful responses are
+ * cached per tenant.
+ *
+ * If the document cannot be retrieved, fall back to Keycloak's default path
+ * layout under authnUrl; that fallback is not cached so the next call tries
+ * again.
+ *
+ * @param {object} config
+ * @param {string} name the tenant name
+ * @returns {Promise<object>} OpenID provider configuration
+ */
+export const fetchOpenIdConfiguration = async (config, name) => {
+  const { authnUrl, realm, openIdConfigurationUrl } = getTenantConfig(config, name);
+  const url = openIdConfigurationUrl ?? `${authnUrl}/realms/${realm}/.well-known/openid-configuration`;
+
+  openIdConfigurations[name] ??= requestOpenIdConfiguration(url);
+
+  try {
+    return await openIdConfigurations[name];
+  } catch (error) {
+    console.warn(`Could not retrieve OpenID configuration; using default Keycloak endpoints`, error);
+    delete openIdConfigurations[name];
+
+    const base = `${authnUrl}/realms/${realm}/protocol/openid-connect`;
+    return {
+      authorization_endpoint: `${base}/auth`,
+      end_session_endpoint: `${base}/logout`,
+      token_endpoint: `${base}/token`,
+      userinfo_endpoint: `${base}/userinfo`,
+    };
+  }
+};
+
+/**
+ * removeCodeVerifierFromSession, getCodeVerifierFromSession
+ * remove/get the PKCE code_verifier to/from session storage. The verifier is
+ * stored by getLoginUrl before redirecting to the authentication provider and
+ * is sent along with the one-time-code when exchanging it in useExchangeCode.
+ */
+const PKCE_CODE_VERIFIER = 'pkce_code_verifier';
+export const removeCodeVerifierFromSession = () => sessionStorage.removeItem(PKCE_CODE_VERIFIER);
+export const getCodeVerifierFromSession = () => sessionStorage.getItem(PKCE_CODE_VERIFIER);
+
+/**
+ * setSilentSsoAttemptedToSession, hasSilentSsoAttemptedInSession, removeSilentSsoAttemptedFromSession
+ * set/get/remove a flag in session storage recording that this tab has tried a
+ * silent (prompt=none) login. AuthnLogin sets it before redirecting, so if the
+ * provider answers login_required we fall back to the interactive flow rather
+ * than trying again; useExchangeCode removes it once a login succeeds.
+ */
+const SILENT_SSO_ATTEMPTED = 'silent_sso_attempted';
+export const setSilentSsoAttemptedToSession = () => sessionStorage.setItem(SILENT_SSO_ATTEMPTED, 'true');
+export const hasSilentSsoAttemptedInSession = () => !!sessionStorage.getItem(SILENT_SSO_ATTEMPTED);
+export const removeSilentSsoAttemptedFromSession = () => sessionStorage.removeItem(SILENT_SSO_ATTEMPTED);
+
+/**
+ * isSilentSsoFallbackError
+ * Return true if error is one a prompt=none authorization request returns
+ * when the user must interact with the provider, i.e. when silent SSO is not
+ * possible and the interactive flow should take over.
+ *
+ * @param {string} error value of the error param on return to /oidc-landing
+ * @returns boolean
+ */
+export const isSilentSsoFallbackError = (error) => [
+  'login_required',
+  'interaction_required',
+  'consent_required',
+  'account_selection_required',
+].includes(error);
+
+/**
+ * base64UrlEncode
+ * Encode bytes as base64url without padding, per RFC 7636 Appendix A.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+const base64UrlEncode = (bytes) => {
+  return btoa(String.fromCharCode(...bytes))
+    .replaceAll('+', '-')
+    .replaceAll('/', '_')
+    .replace(/=+$/, '');
+};
+
+/**
+ * randomString
+ * 32 random bytes, base64url-encoded, i.e. a 43-character string.
+ *
+ * @returns {string}
+ */
+const randomString = () => base64UrlEncode(globalThis.crypto.getRandomValues(new Uint8Array(32)));
+
+/**
+ * generateCodeVerifier
+ * Generate a PKCE code_verifier.
+ *
+ * @returns {string} code verifier
+ */
+export const generateCodeVerifier = () => randomString();
+
+/**
+ * getCodeChallenge
+ * Derive the S256 PKCE code_challenge from the given code_verifier.
+ *
+ * @param {string} verifier code verifier
+ * @returns {Promise<string>} base64url-encoded SHA-256 digest of the verifier
+ */
+export const getCodeChallenge = async (verifier) => {
+  // verifiers are plain ASCII, so char codes are the bytes to digest
+  const bytes = Uint8Array.from(verifier, c => c.charCodeAt(0));
+  const digest = await globalThis.crypto.subtle.digest('SHA-256', bytes);
+  return base64UrlEncode(new Uint8Array(digest));
+};
+
+/**
+ * storeOIDCStateToSession, consumeOIDCStateFromSession
+ * Store/retrieve the per-attempt OIDC state and nonce values to/from session
+ * storage. getLoginUrl stores fresh values for each login attempt;
+ * useExchangeCode consumes them on return. Values are removed as soon as they
+ * are read so a state can never be accepted twice.
+ *
+ * consumeOIDCStateFromSession returns the stored { state, nonce } only if its
+ * state matches the given one, and null otherwise.
+ */
+const OIDC_STATE = 'oidc_state';
+const storeOIDCStateToSession = (state, nonce) => sessionStorage.setItem(OIDC_STATE, JSON.stringify({ state, nonce }));
+export const consumeOIDCStateFromSession = (state) => {
+  const stored = sessionStorage.getItem(OIDC_STATE);
+  sessionStorage.removeItem(OIDC_STATE);
+
+  try {
+    const oidcState = JSON.parse(stored);
+    return state && oidcState?.state === state ? oidcState : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * getIdTokenNonce
+ * Retrieve the nonce claim from an ID token. The signature is NOT verified;
+ * this is only used to compare against the nonce we sent.
+ *
+ * @param {string} idToken JWT
+ * @returns {string|undefined} nonce claim, if any
+ */
+export const getIdTokenNonce = (idToken) => {
+  try {
+    const payload = idToken.split('.')[1].replaceAll('-', '+').replaceAll('_', '/');
+    return JSON.parse(atob(payload)).nonce;
+  } catch {
+    return undefined;
+  }
+};
+
+/**
+ * getLocale
+ * The locale the hub renders in: config.locale, or else the browser's.
+ *
+ * @param {object} config
+ * @returns {string} BCP 47 language tag
+ */
+export const getLocale = (config) => config.locale || globalThis.navigator?.language || 'en-US';
+
+/**
+ * getLoginHint
+ * The username from a `?username=` deep link, if there is one, to prefill
+ * the provider's login form.
+ *
+ * @returns {string|undefined}
+ */
+export const getLoginHint = () => new URLSearchParams(globalThis.location.search).get('username') || undefined;
+
 /**
  * getLoginUrl
  * Construct login URL based on Okapi config and current tenant info.
+ * Each call generates fresh state and nonce values that are stored in session
+ * storage and verified on return to /oidc-landing.
+ * When config.pkce is true, generate a code_verifier, store it in session
+ * storage for use during the code exchange, and include the corresponding
+ * S256 code_challenge in the URL.
+ *
+ * The provider is asked to render its pages in the hub's locale. A
+ * `?username=` deep link is forwarded as login_hint, and the tenant's
+ * idpHint, prompt and maxAge settings as kc_idp_hint, prompt and max_age.
+ * A tenant with a single entry in identityProviders uses its alias as the
+ * kc_idp_hint.
  *
- * @returns {string} login URL
+ * @param {object} config
+ * @param {string} name the tenant name
+ * @param {string} clientId the client ID
+ * @param {object} options
+ * @param {string} options.prompt OIDC prompt value, e.g. 'none' for silent SSO; overrides the tenant's prompt
+ * @param {string} options.idpHint alias of the identity provider the user chose; overrides the tenant's idpHint
+ * @returns {Promise<string>} login URL
  */
-export const getLoginUrl = (config, name, clientId) => {
+export const getLoginUrl = async (config, name, clientId, { prompt, idpHint } = {}) => {
+  const { authorization_endpoint: authorizationEndpoint } = await fetchOpenIdConfiguration(config, name);
   const redirectUri = getOIDCRedirectUri(name, clientId);
-  return `${config.authnUrl}/realms/${name}/protocol/openid-connect/auth?client_id=${clientId}&response_type=code&redirect_uri=${redirectUri}&scope=openid`;
+  const state = randomString();
+  const nonce = randomString();
+  storeOIDCStateToSession(state, nonce);
+
+  let url = `${authorizationEndpoint}?client_id=${clientId}&response_type=code&redirect_uri=${redirectUri}&scope=openid&state=${state}&nonce=${nonce}`;
+
+  if (config.pkce) {
+    const verifier = generateCodeVerifier();
+    sessionStorage.setItem(PKCE_CODE_VERIFIER, verifier);
+    url += `&code_challenge=${await getCodeChallenge(verifier)}&code_challenge_method=S256`;
+  }
+
+  const tenant = config.tenantOptions?.[name] ?? {};
+  const identityProviders = tenant.identityProviders ?? [];
+  const params = {
+    prompt: prompt ?? tenant.prompt,
+    max_age: tenant.maxAge,
+    ui_locales: getLocale(config),
+    login_hint: getLoginHint(),
+    kc_idp_hint: idpHint ?? (identityProviders.length === 1 ? identityProviders[0].alias : tenant.idpHint),
+  };
+
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      url += `&${key}=${encodeURIComponent(value)}`;
+    }
+  });
+
+  return url;
+};
+
+/**
+ * getLogoutUrl
+ * Construct the provider's RP-initiated logout URL, redirecting back to
+ * the hub's logout page after logout.
+ *
+ * @param {object} config
+ * @param {string} name the tenant name
+ * @param {string} clientId the client ID
+ * @returns {Promise<string|undefined>} logout URL, or undefined if the provider does not support RP-initiated logout
+ */
+export const getLogoutUrl = async (config, name, clientId) => {
+  const { end_session_endpoint: endSessionEndpoint } = await fetchOpenIdConfiguration(config, name);
+  if (!endSessionEndpoint) return undefined;
+
+  const params = new URLSearchParams({
+    client_id: clientId,
+    post_logout_redirect_uri: `${globalThis.location.origin}/${urlPaths.LOGOUT}`,
+  });
+
+  return `${endSessionEndpoint}?${params}`;
 };
 
 /**
@@ -82,9 +424,53 @@ export const getSession = async () => {
   return session;
 };
 
+/**
+ * hostPatternToRegExp
+ * Convert a hostname pattern such as *.folio.example.org into a RegExp.
+ * A `*` matches exactly one hostname label, i.e. it never matches a `.`.
+ *
+ * @param {string} pattern hostname or hostname pattern
+ * @returns {RegExp}
+ */
+const hostPatternToRegExp = (pattern) => {
+  const source = pattern
+    .split('*')
+    .map(part => part.replaceAll(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('[^.]+');
+
+  return new RegExp(`^${source}$`, 'i');
+};
+
+/**
+ * getHostTenant
+ * Retrieve the tenantOptions entry mapped to the current hostname by
+ * config.hostTenants, a map of hostnames or hostname patterns to
+ * tenantOptions keys, e.g.
+ *   hostTenants:
+ *     lib-a.folio.example.org: liba
+ *     '*.lib-b.example.org': libb
+ * Exact hostnames take precedence over patterns.
+ *
+ * @param {object} config
+ * @returns {object|undefined} tenantOptions entry, or undefined if the hostname is not mapped
+ */
+export const getHostTenant = (config) => {
+  const hostTenants = config?.hostTenants;
+  const hostname = globalThis.location.hostname?.toLowerCase();
+  if (!hostTenants || !hostname) return undefined;
+
+  const hosts = Object.keys(hostTenants);
+  const key = hosts.find(host => host.toLowerCase() === hostname)
+    ?? hosts.find(host => host.includes('*') && hostPatternToRegExp(host).test(hostname));
+
+  return key ? config.tenantOptions?.[hostTenants[key]] : undefined;
+};
+
 /**
  * getLoginTenant
- * Retrieve tenant and clientId values from the URL for params named tenant and client_id.
+ * Retrieve tenant and clientId values from the URL for params named tenant and client_id,
+ * falling back to the tenant mapped to the current hostname, then to the
+ * only tenant in tenantOptions.
  *
  * @returns { tenant: string, clientId: string }
  */
@@ -94,6 +480,14 @@ export const getLoginTenant = (config) => {
   let name = urlParams.get('tenant');
   let clientId = urlParams.get('client_id');
 
+  // derive from config::hostTenants; the host tenant's clientId only goes
+  // with the host tenant, not with another tenant named in the URL
+  const hostTenant = getHostTenant(config);
+  if (hostTenant && (!name || name === hostTenant.name)) {
+    name = hostTenant.name;
+    clientId ||= hostTenant.clientId;
+  }
+
   // derive from stripes.config.js::config::tenantOptions
   if (config?.tenantOptions && Object.keys(config?.tenantOptions).length === 1) {
     const key = Object.keys(config.tenantOptions)[0];
@@ -118,16 +512,163 @@ export const getCurrentTenant = () => {
   return storedTenant ? JSON.parse(storedTenant) : undefined;
 };
 
+/**
+ * getTenantBranding
+ * Overlay branding with the branding of the tenant this page is for, if that
+ * tenant is known from the hostname or as the current tenant, and has its own.
+ *
+ * @param {object} config
+ * @param {object} branding
+ * @returns {object} branding
+ */
+export const getTenantBranding = (config, branding) => {
+  const tenant = getHostTenant(config) ?? config.tenantOptions?.[getCurrentTenant()?.name];
+  return tenant?.branding ? { ...branding, ...tenant.branding } : branding;
+};
+
+/**
+ * getRecentTenants
+ * Retrieve the names of recently used tenants, most recent first. Unlike the
+ * current tenant, this history survives logout.
+ *
+ * @returns {string[]} tenant names
+ */
+export const getRecentTenants = () => {
+  try {
+    const recentTenants = JSON.parse(localStorage.getItem(RECENT_TENANTS_KEY));
+    return Array.isArray(recentTenants) ? recentTenants : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * getDefaultAffiliation, storeDefaultAffiliation
+ * get/set the affiliation (tenant) a user chose last time, to preselect it
+ * the next time they log in. Like recent tenants, this survives logout.
+ *
+ * @param {string} userId
+ * @param {string} tenantId
+ */
+const getDefaultAffiliations = () => {
+  try {
+    return JSON.parse(localStorage.getItem(DEFAULT_AFFILIATIONS_KEY)) ?? {};
+  } catch {
+    return {};
+  }
+};
+export const getDefaultAffiliation = (userId) => getDefaultAffiliations()[userId];
+export const storeDefaultAffiliation = (userId, tenantId) => {
+  localStorage.setItem(DEFAULT_AFFILIATIONS_KEY, JSON.stringify({ ...getDefaultAffiliations(), [userId]: tenantId }));
+};
+
 /**
  * storeLogoutTenant
- * Store the tenant ID in local storage for use during logout.
+ * Store the tenant ID in local storage for use during logout, and move it
+ * to the front of the recently-used history.
  *
  * @param {string} name the tenant name
  * @param {string} clientId the client ID
  */
 export const storeCurrentTenant = (name, clientId) => {
+  const previousTenant = getCurrentTenant();
   const tenant = { name: sanitizeStorageValue(name), clientId: sanitizeStorageValue(clientId) };
   localStorage.setItem(TENANT_LOCAL_STORAGE_KEY, JSON.stringify(tenant));
+
+  if (tenant.name) {
+    const recentTenants = [tenant.name, ...getRecentTenants().filter(recent => recent !== tenant.name)];
+    localStorage.setItem(RECENT_TENANTS_KEY, JSON.stringify(recentTenants.slice(0, RECENT_TENANTS_MAX)));
+  }
+
+  if (previousTenant?.name && tenant.name && previousTenant.name !== tenant.name) {
+    broadcastSessionEvent(SESSION_EVENTS.TENANT_SWITCH, tenant.name);
+  }
+};
+
+/**
+ * removeCurrentTenant
+ * Forget the current tenant, e.g. so the user can choose a different one.
+ */
+export const removeCurrentTenant = () => {
+  localStorage.removeItem(TENANT_LOCAL_STORAGE_KEY);
+};
+
+/**
+ * broadcastSessionEvent
+ * Tell other hub tabs about a session change; the sending tab does not
+ * receive its own message. A no-op where BroadcastChannel is unavailable.
+ *
+ * @param {string} type one of SESSION_EVENTS
+ * @param {string} tenant the tenant name, if any
+ *
+ * @see hooks/useSessionSync
+ */
+export const broadcastSessionEvent = (type, tenant) => {
+  if (typeof BroadcastChannel === 'undefined') return;
+
+  const channel = new BroadcastChannel(SESSION_CHANNEL);
+  channel.postMessage({ type, tenant });
+  channel.close();
+};
+
+/**
+ * hasSession
+ * Return true if local storage indicates a session, or at least a login
+ * attempt, that has not been logged out.
+ *
+ * @returns boolean
+ */
+export const hasSession = () => {
+  return !!(localStorage.getItem(SESSION_NAME) || localStorage.getItem(TENANT_LOCAL_STORAGE_KEY));
+};
+
+/**
+ * forgetExpiredSession
+ * Clear the local-storage flag createSession uses to tell a new session from
+ * a refreshed one, so that logging in again after a session expired, in this
+ * tab or another, is announced on SESSION_CHANNEL like any other login.
+ */
+export const forgetExpiredSession = () => localStorage.removeItem(SESSION_NAME);
+
+/**
+ * logout
+ * End the session: call /authn/logout to end the session on the server and
+ * clear its cookies, then purge session, tenant and stripes handoff data from
+ * local storage and localforage. Removing the session key from local storage
+ * emits a storage event that lets stripes respond to the logout in other tabs;
+ * other hub tabs hear about it on SESSION_CHANNEL.
+ * Local data is cleared even if the API call fails.
+ *
+ * The caller is responsible for redirecting to the returned URL, which ends
+ * the identity provider's session and then returns to the hub's logout page.
+ *
+ * @param {object} config
+ * @returns {Promise<string|undefined>} provider logout URL, or undefined if unavailable
+ */
+export const logout = async (config) => {
+  const tenant = getCurrentTenant();
+  const { gatewayUrl } = getTenantConfig(config, tenant?.name);
+
+  try {
+    await fetch(`${gatewayUrl}/authn/logout`, {
+      method: 'POST',
+      credentials: 'include',
+    });
+  } catch (error) {
+    console.error('Logout request failed', error);
+  }
+
+  [SESSION_NAME, TENANT_LOCAL_STORAGE_KEY, FOLIO_CONFIG_KEY, FOLIO_BRANDING_KEY]
+    .forEach(key => localStorage.removeItem(key));
+
+  await Promise.all(
+    [SESSION_NAME, LOGIN_RESPONSE_KEY, HOST_APP_NAME, DISCOVERY_URL_KEY, HOST_URL_KEY, REMOTE_LIST_KEY, EXCLUDED_MODULES_KEY]
+      .map(key => localforage.removeItem(key))
+  );
+
+  broadcastSessionEvent(SESSION_EVENTS.LOGOUT, tenant?.name);
+
+  return tenant?.name ? getLogoutUrl(config, tenant.name, tenant.clientId) : undefined;
 };
 
 /**
@@ -137,57 +678,180 @@ export const storeCurrentTenant = (name, clientId) => {
  * URL while unauthenticated and was redirected to login, and when a session
  * times out, forcing the user to re-authenticate.
  *
+ * Only same-origin, root-relative paths are stored, and they are stored in
+ * normalized form. Anything read back must still pass getSafeReturnPath
+ * before it is used, since session storage is not tamper-proof.
+ *
  * @see components/OIDCRedirect
  */
 const UNAUTHORIZED_PATH = 'unauthorized_path';
 export const removeUnauthorizedPathFromSession = () => sessionStorage.removeItem(UNAUTHORIZED_PATH);
 export const setUnauthorizedPathToSession = (pathname) => {
-  const path = pathname ?? `${globalThis.location.pathname}${globalThis.location.search}`;
-  const normalizedPath = path.startsWith('/') ? path.slice(1) : path;
+  const path = normalizeReturnPath(pathname ?? `${globalThis.location.pathname}${globalThis.location.search}`);
+  if (!path) return;
 
-  if (!normalizedPath.startsWith(urlPaths.LOGOUT) && !normalizedPath.startsWith(urlPaths.AUTHN_LOGIN)) {
+  const routePath = path.slice(1);
+  if (!routePath.startsWith(urlPaths.LOGOUT) && !routePath.startsWith(urlPaths.AUTHN_LOGIN)) {
     sessionStorage.setItem(UNAUTHORIZED_PATH, path);
   }
 };
 export const getUnauthorizedPathFromSession = () => sessionStorage.getItem(UNAUTHORIZED_PATH);
 
+/**
+ * normalizeReturnPath
+ * Resolve path against this origin and return its path, query and fragment,
+ * or undefined if path is not a root-relative path on this origin. The
+ * origin comparison is what matters: the URL parser strips tabs and newlines
+ * and treats backslashes as slashes, so a string test alone can be fooled
+ * into accepting e.g. "/\evil.example".
+ *
+ * @param {string} path
+ * @returns {string|undefined} normalized path
+ */
+const normalizeReturnPath = (path) => {
+  if (typeof path !== 'string' || !path.startsWith('/')) return undefined;
+
+  try {
+    const { origin } = globalThis.location;
+    const url = new URL(path, origin);
+    return url.origin === origin ? `${url.pathname}${url.search}${url.hash}` : undefined;
+  } catch {
+    return undefined;
+  }
+};
+
+/**
+ * getSafeReturnPath
+ * Return path, normalized, if it is safe to redirect to after login: a
+ * same-origin, root-relative path that begins with one of
+ * config.returnPathPrefixes, if that allowlist is configured. Otherwise, log
+ * the rejected value and return '/'.
+ *
+ * @param {string} path e.g. the value of getUnauthorizedPathFromSession()
+ * @param {object} config
+ * @returns {string} path to redirect to
+ */
+export const getSafeReturnPath = (path, config = {}) => {
+  if (!path) return '/';
+
+  const normalizedPath = normalizeReturnPath(path);
+  const { returnPathPrefixes } = config;
+  const isAllowed = normalizedPath &&
+    (!returnPathPrefixes || returnPathPrefixes.some(prefix => normalizedPath.startsWith(prefix)));
+
+  if (!isAllowed) {
+    console.warn('Ignoring unsafe return path', path);
+    return '/';
+  }
+
+  return normalizedPath;
+};
+
 /**
  * authenticatedFetch
  * Wrapper around fetch to include headers headers and error handling. Throws
  * if response is not ok. Returns parsed JSON response.
  *
+ * Given a responses map, shaped like { [url]: { etag, json } }, send the
+ * cached ETag as If-None-Match, answer a 304 with the cached JSON, and store
+ * new responses that carry an ETag.
+ *
  * @param {string} url URL to retrieve
  * @param {string} tenant tenant for x-okapi-tenant header
+ * @param {object} responses cached responses, keyed by URL
  * @returns {Promise} resolves to the JSON response
  */
-const authenticatedFetch = async (url, tenant) => {
+const authenticatedFetch = async (url, tenant, responses) => {
+  const cached = responses?.[url];
   const res = await fetch(url, {
-    headers: getHeaders(tenant),
+    headers: {
+      ...getHeaders(tenant),
+      ...(cached?.etag && { 'If-None-Match': cached.etag }),
+    },
     credentials: 'include',
     mode: 'cors',
   });
 
+  if (res.status === 304 && cached) {
+    return cached.json;
+  }
+
   const json = await res.json();
   if (res.ok) {
+    const etag = res.headers?.get('ETag');
+    if (responses && etag) {
+      responses[url] = { etag, json };
+    }
     return json;
   }
 
   throw new StripesHubError(`Fetch to ${url} failed: ${res.status} ${res.statusText}`, { json, url });
 }
 
+/** how many records to request per page from paged gateway APIs */
+const PAGE_SIZE = 500;
+
+/**
+ * fetchAllPages
+ * Fetch every page of a paged gateway API, following offset/limit until
+ * totalRecords records have been collected, or a page comes back empty.
+ * Each page starts where the last one ended, since a server may cap limit
+ * below PAGE_SIZE. Without totalRecords, a page shorter than PAGE_SIZE is
+ * taken to be the last. If the server returned fewer records than its
+ * totalRecords claims, log it; the caller gets whatever was returned.
+ *
+ * @param {string} url URL to retrieve; limit and offset are set on it for each page
+ * @param {string} tenant tenant for x-okapi-tenant header
+ * @param {string} listKey the key of the list of records in each page
+ * @param {object} responses cached responses, keyed by URL; see authenticatedFetch
+ * @returns {Promise<object>} the first page's JSON, with listKey holding the records from every page
+ */
+const fetchAllPages = async (url, tenant, listKey, responses) => {
+  const records = [];
+  let first;
+  let totalRecords;
+
+  for (let offset = 0; ;) {
+    const pageUrl = new URL(url);
+    pageUrl.searchParams.set('limit', PAGE_SIZE);
+    pageUrl.searchParams.set('offset', offset);
+
+    const json = await authenticatedFetch(pageUrl.toString(), tenant, responses);
+    const page = json[listKey] ?? [];
+    first ??= json;
+    totalRecords = json.totalRecords;
+    records.push(...page);
+    offset += page.length;
+
+    const isLastPage = Number.isInteger(totalRecords)
+      ? records.length >= totalRecords || page.length === 0
+      : page.length < PAGE_SIZE;
+    if (isLastPage) {
+      break;
+    }
+  }
+
+  if (Number.isInteger(totalRecords) && records.length < totalRecords) {
+    console.warn(`${url} reported ${totalRecords} records but returned ${records.length}`);
+  }
+
+  return { ...first, [listKey]: records };
+};
+
 /**
  * fetchEntitlements
  * Fetch entitlement data for the tenant, then coalesce UI modules across
  * applications into a single map, keyed by module ID, including .
  * @param {object} config config
  * @param {string} tenant
+ * @param {object} responses cached responses, keyed by URL; see authenticatedFetch
  * @returns {Promise<map>} map of entitlement data, keyed by module ID
  */
-export const fetchEntitlements = async (config, tenant) => {
+export const fetchEntitlements = async (config, tenant, responses) => {
   const url = `${config.gatewayUrl}/entitlements/${tenant}/applications`;
   try {
     const entitlement = {};
-    const json = await authenticatedFetch(url, tenant);
+    const json = await fetchAllPages(url, tenant, 'applicationDescriptors', responses);
     const elist = json.applicationDescriptors;
     elist.forEach(application => {
       application.uiModules.forEach(module => {
@@ -200,11 +864,20 @@ export const fetchEntitlements = async (config, tenant) => {
         if (entitlement[module.id]) {
           entitlement[module.id].okapiInterfaces = interfaceArrayToKeyedObject(module.requires || []);
           entitlement[module.id].optionalOkapiInterfaces = interfaceArrayToKeyedObject(module.optional || []);
+          if (typeof module.metadata?.name === 'string') {
+            // the npm package name, e.g. @folio/users
+            entitlement[module.id].packageName = module.metadata.name;
+          }
           entitlement[module.id] = { ...entitlement[module.id], ...module.metadata?.stripes };
         }
       });
     });
 
+    if (config.interfaceCheck !== 'off') {
+      const providedInterfaces = await fetchProvidedInterfaces(config, tenant, elist, responses);
+      flagIncompatibleModules(entitlement, providedInterfaces);
+    }
+
     return entitlement;
   } catch (error) {
     const json = error?.options?.json || null;
@@ -215,6 +888,30 @@ export const fetchEntitlements = async (config, tenant) => {
   }
 };
 
+/**
+ * fetchAffiliations
+ * Fetch the tenants a consortium user is affiliated with from
+ * config.affiliationsUrl, which may be relative to the gateway and may
+ * contain a `{userId}` placeholder. The response is either a list or, as
+ * from mod-consortia's user-tenants API, an object with a `userTenants` list.
+ *
+ * @param {object} config config
+ * @param {string} tenant
+ * @param {string} userId
+ * @returns {Promise<object[]>} affiliations shaped like { tenantId, tenantName, isPrimary }
+ */
+export const fetchAffiliations = async (config, tenant, userId) => {
+  const path = config.affiliationsUrl.replaceAll('{userId}', encodeURIComponent(userId));
+  const url = isAbsoluteUrl(path) ? path : `${config.gatewayUrl}/${path.replace(/^\//, '')}`;
+
+  const json = await authenticatedFetch(url, tenant);
+  const list = Array.isArray(json) ? json : json.userTenants;
+
+  return (list ?? [])
+    .filter(affiliation => affiliation?.tenantId)
+    .map(({ tenantId, tenantName, isPrimary }) => ({ tenantId, tenantName: tenantName || tenantId, isPrimary: !!isPrimary }));
+};
+
 /**
  * Helper function to convert an array of objects with `id` and `version`
  * properties into an object keyed by `id` with values of `version`.
@@ -228,6 +925,95 @@ const interfaceArrayToKeyedObject = (arr) => {
   }, {});
 }
 
+/**
+ * isVersionCompatible
+ * Whether an interface version a backend module provides satisfies a
+ * version a UI module requires: the major versions must match, and the
+ * provided minor and patch versions must be at least the required ones.
+ *
+ * @param {string} got provided version, e.g. 16.2
+ * @param {string} wanted required version, e.g. 16.1
+ * @returns {boolean}
+ */
+export const isVersionCompatible = (got, wanted) => {
+  const [gotMajor, gotMinor = 0, gotPatch = 0] = got.split('.').map(Number);
+  const [wantedMajor, wantedMinor = 0, wantedPatch = 0] = wanted.split('.').map(Number);
+
+  if (gotMajor !== wantedMajor) return false;
+  if (gotMinor !== wantedMinor) return gotMinor > wantedMinor;
+  return gotPatch >= wantedPatch;
+};
+
+/**
+ * fetchProvidedInterfaces
+ * Collect the interfaces the backend provides to the tenant, from
+ * config.interfacesUrl if it is set, or else from the backend module
+ * descriptors in the entitled applications. config.interfacesUrl may be
+ * relative to the gateway and may contain a `{tenant}` placeholder; it
+ * returns a list, or an object with an `interfaces` list, of `{ id, version }`.
+ *
+ * Resolves to null, i.e. nothing to check against, if the interfaces cannot
+ * be fetched or the application descriptors do not list backend modules.
+ *
+ * @param {object} config
+ * @param {string} tenant
+ * @param {object[]} applicationDescriptors
+ * @param {object} responses cached responses, keyed by URL; see authenticatedFetch
+ * @returns {Promise<object|null>} lists of provided versions, keyed by interface ID
+ */
+const fetchProvidedInterfaces = async (config, tenant, applicationDescriptors, responses) => {
+  let interfaces;
+  if (config.interfacesUrl) {
+    const path = config.interfacesUrl.replaceAll('{tenant}', encodeURIComponent(tenant));
+    const url = isAbsoluteUrl(path) ? path : `${config.gatewayUrl}/${path.replace(/^\//, '')}`;
+    try {
+      const json = await authenticatedFetch(url, tenant, responses);
+      interfaces = Array.isArray(json) ? json : json.interfaces;
+    } catch (error) {
+      console.warn(`Interfaces fetch error at ${url}; UI modules will not be checked against them`, error);
+      return null;
+    }
+  } else {
+    const moduleDescriptors = applicationDescriptors.flatMap(application => application.moduleDescriptors ?? []);
+    if (moduleDescriptors.length === 0) return null;
+    interfaces = moduleDescriptors.flatMap(module => module.provides ?? []);
+  }
+
+  return (interfaces ?? []).reduce((acc, { id, version }) => {
+    acc[id] = [...(acc[id] ?? []), version];
+    return acc;
+  }, {});
+};
+
+/**
+ * flagIncompatibleModules
+ * Give each entitlement entry requiring an interface version the backend
+ * does not provide a `missingInterfaces` list, shaped like
+ * [{ id, required, provided }], where provided lists the versions on offer,
+ * if any. A required version may list alternatives, e.g. '1.0 2.0'.
+ *
+ * @param {object} entitlement map of entitlement data, keyed by module ID
+ * @param {object|null} providedInterfaces see fetchProvidedInterfaces
+ */
+const flagIncompatibleModules = (entitlement, providedInterfaces) => {
+  if (!providedInterfaces) return;
+
+  const isProvided = ([id, required]) => (providedInterfaces[id] ?? []).some(got => (
+    !required || `${required}`.trim().split(/\s+/).some(wanted => isVersionCompatible(got, wanted))
+  ));
+
+  Object.values(entitlement).forEach((module) => {
+    const missingInterfaces = Object.entries(module.okapiInterfaces ?? {})
+      .filter(entry => !isProvided(entry))
+      .map(([id, required]) => ({ id, required, provided: providedInterfaces[id] ?? [] }));
+
+    if (missingInterfaces.length > 0) {
+      module.missingInterfaces = missingInterfaces;
+      console.warn(`${module.name} requires interfaces the backend does not provide: ${missingInterfaces.map(({ id, required }) => `${id} ${required}`).join(', ')}`);
+    }
+  });
+};
+
 /**
  * fetchCustomDiscovery
  * Fetch discovery data with a single query and return it in a map keyed by id.
@@ -270,42 +1056,121 @@ const fetchCustomDiscovery = async (config, tenant) => {
   );
 };
 
+/** how many applications' discovery data to fetch at once, unless config.discoveryConcurrency says otherwise */
+const DEFAULT_DISCOVERY_CONCURRENCY = 6;
+
+/**
+ * settleWithConcurrency
+ * Like Promise.allSettled(items.map(fn)), but with at most limit calls to fn
+ * in flight at any one time.
+ *
+ * @param {Array} items
+ * @param {number} limit
+ * @param {function} fn async function called with each item
+ * @returns {Promise<object[]>} settled results, in the order of items
+ */
+const settleWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await fn(items[index]) };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+    }
+  };
+
+  const workers = Math.min(Number.isInteger(limit) && limit > 0 ? limit : 1, items.length);
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+};
+
 /**
  * fetchDefaultDiscovery
- * Fetch discovery data for each of the given applications by application-id.
+ * Fetch discovery data for each of the given applications by application-id,
+ * up to config.discoveryConcurrency requests at a time.
  * Knit results into the provided entitlement data, returning a new map of
  * module ID to entitlement/discovery/module-descriptor data
  *
  * @param {object} config
  * @param {string} tenant
  * @param {object} entitlement
+ * @param {object} responses cached responses, keyed by URL; see authenticatedFetch
  * @returns {Promise<object>} map of entitlement and discovery data, keyed by module ID
+ * @throws {StripesHubError} listing every application whose discovery data could not be fetched
  */
-const fetchDefaultDiscovery = async (config, tenant, entitlement) => {
-  let url = null;
-  try {
-    const map = {};
-    const applicationIds = Array.from(new Set(Object.values(entitlement).map(mod => mod.applicationId)));
-    for (const appId of applicationIds) {
-      url = `${config.gatewayUrl}/applications/${appId}/discovery?limit=500`;
-      const json = await authenticatedFetch(url, tenant);
-      json.discovery.forEach(entry => {
+const fetchDefaultDiscovery = async (config, tenant, entitlement, responses) => {
+  const map = {};
+  const applicationIds = Array.from(new Set(Object.values(entitlement).map(mod => mod.applicationId)));
+  const urls = applicationIds.map(appId => `${config.gatewayUrl}/applications/${appId}/discovery`);
+
+  const results = await settleWithConcurrency(
+    urls,
+    config.discoveryConcurrency ?? DEFAULT_DISCOVERY_CONCURRENCY,
+    url => fetchAllPages(url, tenant, 'discovery', responses)
+  );
+
+  // merge in application order, as the requests may finish in any order
+  results.forEach((result) => {
+    if (result.status === 'fulfilled') {
+      result.value.discovery.forEach(entry => {
         if (entitlement[entry.id]) {
           // maybe log sth like `Adding discovery data for ${entry.id} => ${entry.location}`
           map[entry.id] = entitlement[entry.id];
           map[entry.id].location = entry.location;
         }
       });
-    };
+    }
+  });
 
-    return map;
-  } catch (error) {
-    const json = error?.options?.json || null;
+  const failures = applicationIds
+    .map((appId, index) => ({ appId, url: urls[index], ...results[index] }))
+    .filter(result => result.status === 'rejected');
+
+  if (failures.length > 0) {
+    const failedIds = failures.map(({ appId }) => appId);
     throw new StripesHubError(
-      `Discovery fetch error at ${url}`,
-      { json, url, id: 'stripes-hub.error.discoveryFetch', cause: error }
+      `Discovery fetch error for applications ${failedIds.join(', ')}`,
+      {
+        json: failures[0].reason?.options?.json || null,
+        url: failures[0].url,
+        applicationIds: failedIds,
+        id: 'stripes-hub.error.discoveryFetchApplications',
+        values: { applicationIds: failedIds.join(', ') },
+        cause: new AggregateError(failures.map(({ reason }) => reason), 'Discovery fetch errors'),
+      }
     );
-  };
+  }
+
+  return map;
+};
+
+/**
+ * getPackageName
+ * Modules have npm package names like @folio/users, but are registered in
+ * entitlement and discovery with names like folio_users. Take the package
+ * name from config.modulePackageNames, keyed by module name, or else from the
+ * module descriptor's metadata. Failing both, guess by replacing the first
+ * `_` with `/`, which is wrong for scopes or packages containing `_`, e.g.
+ * @oh_noes/hosed (STRIPES-1009).
+ *
+ * @param {object} config
+ * @param {object} entry entitlement/discovery entry, with name and maybe packageName
+ * @returns {string} npm package name
+ */
+const getPackageName = (config, entry) => {
+  const packageName = config.modulePackageNames?.[entry.name] ?? entry.packageName;
+  if (packageName) {
+    return packageName;
+  }
+
+  const guess = `@${entry.name.replace('_', '/')}`;
+  console.warn(`Guessing the package name of ${entry.name} is ${guess}; set it in modulePackageNames to be sure`);
+  return guess;
 };
 
 /**
@@ -318,28 +1183,184 @@ const fetchDefaultDiscovery = async (config, tenant, entitlement) => {
  * @param {object} config
  * @param {string} tenant
  * @param {map} entitlement
+ * @param {object} responses cached responses, keyed by URL; see authenticatedFetch
  * @returns {Promise<object>} map of entitlement and discovery data, keyed by module ID
  */
-export const fetchDiscovery = async (config, tenant, entitlement) => {
+export const fetchDiscovery = async (config, tenant, entitlement, responses) => {
   // Ordinarily, the discovery API query goes against the same gateway as
   // any other API query. Running module-federation locally, however, requires
   // running a local discovery server, and routing discovery API queries only
   // to that local server. Provide the config value `discoveryUrl` to do so.
   const discoveryHandler = config.discoveryUrl ? fetchCustomDiscovery : fetchDefaultDiscovery;
-  const map = await discoveryHandler(config, tenant, entitlement);
+  const map = await discoveryHandler(config, tenant, entitlement, responses);
 
-  // modules have names like @folio/users but they are registered in entitlement
-  // with names like folio_users. who is responsible for this nonsense? anyway, fix it here.
-  // this is horribly brittle. what if we had a package @oh_noes/hosed that
-  // went into discovery as oh_noes_hosed? we'd be hosed.
-  // to be addressed in STRIPES-1009
   Object.keys(map).forEach((key) => {
-    map[key].module = `@${map[key].name.replace('_', '/')}`;
+    map[key].module = getPackageName(config, map[key]);
+  });
+
+  return map;
+};
+
+/** key for developers' module location overrides in local storage */
+export const MODULE_OVERRIDES_KEY = 'moduleOverrides';
+
+/** prefix of query-string parameters overriding a module location, e.g. ?moduleOverride.folio_users=http://localhost:3001 */
+export const MODULE_OVERRIDE_PARAM_PREFIX = 'moduleOverride.';
+
+/**
+ * getLocalModuleOverrides
+ * Retrieve the module location overrides stored in local storage.
+ *
+ * @returns {object} locations keyed by module ID or name
+ */
+const getLocalModuleOverrides = () => {
+  try {
+    const overrides = JSON.parse(localStorage.getItem(MODULE_OVERRIDES_KEY));
+    return isObject(overrides) ? overrides : {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * getModuleOverrides
+ * Developers working on a module usually want a shared environment for
+ * everything else. config.moduleOverrides maps module IDs or names to the
+ * locations to load them from instead. With config.allowModuleOverrides,
+ * overrides may also be set in local storage, or with query-string
+ * parameters like `moduleOverride.folio_users=http://localhost:3001`, which
+ * are stored there for subsequent loads; an empty value removes one.
+ *
+ * @param {object} config
+ * @returns {object} shaped like { overrides, localOverrides }, each keyed by module ID or name
+ */
+export const getModuleOverrides = (config) => {
+  const overrides = { ...config.moduleOverrides };
+  if (!config.allowModuleOverrides) {
+    return { overrides, localOverrides: {} };
+  }
+
+  const localOverrides = getLocalModuleOverrides();
+  new URLSearchParams(globalThis.location.search).forEach((value, key) => {
+    if (key.startsWith(MODULE_OVERRIDE_PARAM_PREFIX)) {
+      const module = key.slice(MODULE_OVERRIDE_PARAM_PREFIX.length);
+      if (value) {
+        localOverrides[module] = value;
+      } else {
+        delete localOverrides[module];
+      }
+    }
+  });
+
+  if (Object.keys(localOverrides).length > 0) {
+    localStorage.setItem(MODULE_OVERRIDES_KEY, JSON.stringify(localOverrides));
+  } else {
+    localStorage.removeItem(MODULE_OVERRIDES_KEY);
+  }
+
+  return { overrides: { ...overrides, ...localOverrides }, localOverrides };
+};
+
+/**
+ * resetModuleOverrides
+ * Discard the overrides stored in local storage; see getModuleOverrides.
+ */
+export const resetModuleOverrides = () => localStorage.removeItem(MODULE_OVERRIDES_KEY);
+
+/**
+ * applyModuleOverrides
+ * Return a copy of the discovery map with the location of each module
+ * whose ID or name is overridden replaced. Overrides that match no module
+ * are logged, since they are most likely typos.
+ *
+ * @param {object} modules map of entitlement and discovery data, keyed by module ID
+ * @param {object} overrides locations keyed by module ID or name
+ * @returns {object} map of entitlement and discovery data, keyed by module ID
+ */
+export const applyModuleOverrides = (modules, overrides) => {
+  const keys = Object.keys(overrides);
+  if (keys.length === 0) return modules;
+
+  const applied = new Set();
+  const map = Object.fromEntries(Object.entries(modules).map(([id, entry]) => {
+    const key = [id, entry.name].find(k => k in overrides);
+    if (!key) return [id, entry];
+
+    applied.add(key);
+    console.info(`Loading ${id} from ${overrides[key]} instead of ${entry.location}`);
+    return [id, { ...entry, location: overrides[key] }];
+  }));
+
+  keys.filter(key => !applied.has(key)).forEach((key) => {
+    console.warn(`Module override ${key} matches no module in discovery`);
   });
 
   return map;
 };
 
+/**
+ * getExcludedModules
+ * Retrieve the UI modules left out of the last stripes load because the
+ * backend does not provide the interfaces they require.
+ *
+ * @returns {Promise<object[]>} shaped like [{ id, name, module, missingInterfaces }]
+ */
+export const getExcludedModules = async () => (await localforage.getItem(EXCLUDED_MODULES_KEY)) ?? [];
+
+/**
+ * getModuleCache
+ * Retrieve the tenant's cached entitlement and discovery data. It is fresh,
+ * i.e. good enough to start stripes from, for config.moduleCacheTtl seconds;
+ * a stale cache still supplies ETags for conditional requests. Changing
+ * config.moduleCacheVersion discards every tenant's cache, and a TTL of 0
+ * disables caching.
+ *
+ * @param {object} config
+ * @param {string} tenant
+ * @returns {Promise<object>} shaped like { entitlement, discovery, responses, fetchedAt, isFresh }
+ */
+export const getModuleCache = async (config, tenant) => {
+  const ttl = config.moduleCacheTtl ?? DEFAULT_MODULE_CACHE_TTL;
+  const empty = { responses: {}, isFresh: false };
+  if (ttl <= 0) return empty;
+
+  try {
+    const cache = await localforage.getItem(`${MODULE_CACHE_KEY}.${tenant}`);
+    if (!cache || cache.version !== config.moduleCacheVersion) return empty;
+
+    return { ...cache, isFresh: Date.now() - cache.fetchedAt < ttl * 1000 };
+  } catch (error) {
+    console.warn('Could not read the module cache', error);
+    return empty;
+  }
+};
+
+/**
+ * storeModuleCache
+ * Cache the tenant's entitlement and discovery data, and the responses they
+ * were built from; see getModuleCache.
+ *
+ * @param {object} config
+ * @param {string} tenant
+ * @param {object} modules shaped like { entitlement, discovery, responses }
+ * @returns {Promise<void>}
+ */
+export const storeModuleCache = async (config, tenant, { entitlement, discovery, responses }) => {
+  if ((config.moduleCacheTtl ?? DEFAULT_MODULE_CACHE_TTL) <= 0) return;
+
+  try {
+    await localforage.setItem(`${MODULE_CACHE_KEY}.${tenant}`, {
+      version: config.moduleCacheVersion,
+      fetchedAt: Date.now(),
+      entitlement,
+      discovery,
+      responses,
+    });
+  } catch (error) {
+    console.warn('Could not write the module cache', error);
+  }
+};
+
 /**
  * loadStripes
  * Dynamically load stripes CSS and JS assets using the build's manifest.json.
@@ -472,6 +1493,48 @@ export const setTokenExpiry = async (te) => {
   throw new TypeError('Did not receive { atExpires: int, rtExpires: int }');
 };
 
+/**
+ * setSessionAffiliation
+ * Switch the session to the given affiliation (tenant). Stripes takes the
+ * tenant for its API requests from the session.
+ *
+ * @param {string} tenantId
+ * @returns {Promise} resolving to updated session object
+ */
+export const setSessionAffiliation = async (tenantId) => {
+  const sess = await getSession();
+  return localforage.setItem(SESSION_NAME, { ...sess, tenant: tenantId, affiliation: tenantId });
+};
+
+/**
+ * refreshTokens
+ * Exchange the refresh token (an HTTP-only cookie) for new access and
+ * refresh tokens, and store their expiry via setTokenExpiry.
+ *
+ * @param {object} config tenant config, i.e. with per-tenant overrides applied
+ * @param {string} tenant
+ * @returns {Promise} resolving to updated session object
+ */
+export const refreshTokens = async (config, tenant) => {
+  const url = `${config.gatewayUrl}/authn/refresh`;
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: getHeaders(tenant),
+    credentials: 'include',
+    mode: 'cors',
+  });
+
+  if (!res.ok) {
+    throw new StripesHubError(`Fetch to ${url} failed: ${res.status} ${res.statusText}`, { url });
+  }
+
+  const json = await res.json();
+  return setTokenExpiry({
+    atExpires: new Date(json.accessTokenExpiration).getTime(),
+    rtExpires: new Date(json.refreshTokenExpiration).getTime(),
+  });
+};
+
 /**
  * createSession
  * Remap the given data into a session object shaped like:
@@ -525,9 +1588,10 @@ export const createSession = async (tenant, token, data) => {
   // BroadcastChannel to communicate with all tabs/windows.
   // here, we set a dummy 'true' value just so we have something to
   // remove (and therefore emit and respond to) on logout
+  const isNewSession = !localStorage.getItem(SESSION_NAME);
   localStorage.setItem(SESSION_NAME, 'true');
 
-  await localforage.setItem('loginResponse', data);
+  await localforage.setItem(LOGIN_RESPONSE_KEY, data);
   const sessionData = await localforage.getItem(SESSION_NAME);
   // for keycloak-based logins, token-expiration data was already
   // pushed to storage, so we pull it out and reuse it here.
@@ -556,6 +1620,12 @@ export const createSession = async (tenant, token, data) => {
   }
 
   await localforage.setItem(SESSION_NAME, session);
+
+  // only announce the transition from logged-out to logged-in; tabs that
+  // merely refresh an existing session must not set each other reloading.
+  if (isNewSession) {
+    broadcastSessionEvent(SESSION_EVENTS.LOGIN, sessionTenant);
+  }
 };
 
 /**
@@ -735,21 +1805,102 @@ export const hideEmail = email => {
 }
 
 /**
- * isValidConfig
- * Validate the shape of the config object, return true if valid, false otherwise.
- * @param {object} configObject
+ * isAbsoluteUrl
+ * Return true if the given value is an absolute http(s) URL.
+ * @param {string} value
  * @returns boolean
  */
-export const isValidConfig = (configObject) => {
-  if (!configObject.gatewayUrl) return false;
-  if (!configObject.authnUrl) return false;
-  if (!configObject.tenantOptions) return false;
-  if (Object.keys(configObject.tenantOptions).length === 0) return false;
+const isAbsoluteUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * getConfigErrors
+ * Validate the shape of the config object, returning a list of problems,
+ * each shaped like { id, values } where id is a translation key and values
+ * are its parameters, so it can be displayed by ConfigError.
+ * An empty list means the config is valid.
+ *
+ * @param {object} configObject
+ * @returns {object[]} list of problems shaped like { id, values }
+ */
+export const getConfigErrors = (configObject = {}) => {
+  const errors = [];
+  const missing = (key) => errors.push({ id: 'stripes-hub.ConfigError.missing', values: { key } });
+  const notAbsoluteUrl = (key, value) => errors.push({ id: 'stripes-hub.ConfigError.notAbsoluteUrl', values: { key, value } });
+
+  ['gatewayUrl', 'authnUrl'].forEach((key) => {
+    if (!configObject[key]) {
+      missing(key);
+    } else if (!isAbsoluteUrl(configObject[key])) {
+      notAbsoluteUrl(key, configObject[key]);
+    }
+  });
+
+  ['discoveryUrl', 'openIdConfigurationUrl'].forEach((key) => {
+    if (configObject[key] && !isAbsoluteUrl(configObject[key])) {
+      notAbsoluteUrl(key, configObject[key]);
+    }
+  });
+
+  // with a tenant registry, static tenantOptions are optional
+  if (configObject.tenantRegistryUrl) {
+    // nothing to check
+  } else if (!configObject.tenantOptions) {
+    missing('tenantOptions');
+  } else if (Object.keys(configObject.tenantOptions).length === 0) {
+    errors.push({ id: 'stripes-hub.ConfigError.tenantOptionsEmpty', values: {} });
+  }
 
   for (const key in configObject.tenantOptions) {
-    if (key !== configObject.tenantOptions[key].name) return false;
-    if (!configObject.tenantOptions[key].clientId) return false;
+    const tenant = configObject.tenantOptions[key];
+    if (!isObject(tenant)) {
+      errors.push({ id: 'stripes-hub.ConfigError.tenantNotObject', values: { key } });
+      continue;
+    }
+
+    if (!tenant.name) {
+      missing(`tenantOptions.${key}.name`);
+    } else if (key !== tenant.name) {
+      errors.push({ id: 'stripes-hub.ConfigError.tenantNameMismatch', values: { key, name: tenant.name } });
+    }
+
+    if (!tenant.clientId) {
+      missing(`tenantOptions.${key}.clientId`);
+    }
+
+    ['authnUrl', 'gatewayUrl', 'openIdConfigurationUrl'].forEach((urlKey) => {
+      if (tenant[urlKey] && !isAbsoluteUrl(tenant[urlKey])) {
+        notAbsoluteUrl(`tenantOptions.${key}.${urlKey}`, tenant[urlKey]);
+      }
+    });
+
+    tenant.identityProviders?.forEach((provider, index) => {
+      if (!provider?.alias) {
+        missing(`tenantOptions.${key}.identityProviders.${index}.alias`);
+      }
+    });
   }
 
-  return true;
-}
+  for (const host in configObject.hostTenants) {
+    if (!configObject.tenantOptions?.[configObject.hostTenants[host]]) {
+      errors.push({ id: 'stripes-hub.ConfigError.hostTenantUnknown', values: { host, key: configObject.hostTenants[host] } });
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * isValidConfig
+ * Validate the shape of the config object, return true if valid, false otherwise.
+ * @see getConfigErrors for details about what is wrong with an invalid config
+ * @param {object} configObject
+ * @returns boolean
+ */
+export const isValidConfig = (configObject) => getConfigErrors(configObject).length === 0;
@@ -1,3 +1,4 @@
+import { webcrypto } from 'node:crypto';
 import localforage from 'localforage';
 import {
   SESSION_NAME,
@@ -6,18 +7,58 @@ import {
   StripesHubError,
   getOIDCRedirectUri,
   getLoginUrl,
+  getLogoutUrl,
+  fetchOpenIdConfiguration,
+  generateCodeVerifier,
+  getCodeChallenge,
+  getCodeVerifierFromSession,
+  removeCodeVerifierFromSession,
+  consumeOIDCStateFromSession,
+  getIdTokenNonce,
+  getTenantConfig,
   getSession,
+  hasSession,
+  logout,
+  setSilentSsoAttemptedToSession,
+  hasSilentSsoAttemptedInSession,
+  removeSilentSsoAttemptedFromSession,
+  isSilentSsoFallbackError,
+  broadcastSessionEvent,
+  SESSION_CHANNEL,
+  SESSION_EVENTS,
+  FOLIO_CONFIG_KEY,
   getLoginTenant,
+  getHostTenant,
   getCurrentTenant,
   storeCurrentTenant,
+  removeCurrentTenant,
+  getRecentTenants,
+  getTenantBranding,
+  getModuleCache,
+  storeModuleCache,
+  MODULE_CACHE_KEY,
+  getDefaultAffiliation,
+  storeDefaultAffiliation,
+  setSessionAffiliation,
+  fetchAffiliations,
+  refreshTokens,
   removeUnauthorizedPathFromSession,
   setUnauthorizedPathToSession,
+  getSafeReturnPath,
   getUnauthorizedPathFromSession,
   fetchEntitlements,
   fetchDiscovery,
+  isVersionCompatible,
+  getModuleOverrides,
+  resetModuleOverrides,
+  applyModuleOverrides,
+  MODULE_OVERRIDES_KEY,
+  getExcludedModules,
+  EXCLUDED_MODULES_KEY,
   spreadUserWithPerms,
   setTokenExpiry,
   createSession,
+  forgetExpiredSession,
   processSession,
   requestUserWithPerms,
   fetchOverriddenUserWithPerms,
@@ -27,7 +68,8 @@ import {
   processBadResponse,
   loadStripes,
   hideEmail,
-  isValidConfig
+  isValidConfig,
+  getConfigErrors,
 } from './loginServices';
 import { defaultErrors } from './constants';
 
@@ -44,6 +86,9 @@ globalThis.location = {
 
 globalThis.fetch = jest.fn();
 
+// jsdom does not implement crypto.subtle, which PKCE depends on
+Object.defineProperty(globalThis, 'crypto', { value: webcrypto });
+
 // Mock dynamic imports used by loadStripes
 jest.mock('https://stripes.example.com/main.js', () => jest.fn(), { virtual: true });
 
@@ -95,15 +140,267 @@ describe('loginServices', () => {
   });
 
   describe('getLoginUrl', () => {
-    it('constructs login URL', () => {
+    beforeEach(() => {
+      globalThis.location = {
+        protocol: 'https:',
+        host: 'hub.example.com',
+        origin: 'https://hub.example.com',
+        search: '',
+      };
+    });
+
+    it('constructs login URL', async () => {
       const config = { authnUrl: 'https://auth.example.com' };
       const tenant = 'test-tenant';
       const clientId = 'client-123';
-      const url = getLoginUrl(config, tenant, clientId);
+      const url = await getLoginUrl(config, tenant, clientId);
       expect(url).toContain(`${config.authnUrl}/realms/${tenant}/protocol/openid-connect/auth`);
       expect(url).toContain(`client_id=${clientId}`);
       expect(url).toContain('response_type=code');
       expect(url).toContain('scope=openid');
+      expect(url).not.toContain('code_challenge');
+      expect(getCodeVerifierFromSession()).toBeNull();
+    });
+
+    it('includes fresh state and nonce values and stores them for verification', async () => {
+      const config = { authnUrl: 'https://auth.example.com' };
+      const url = new URL(await getLoginUrl(config, 'test-tenant', 'client-123'));
+      const state = url.searchParams.get('state');
+      const nonce = url.searchParams.get('nonce');
+
+      expect(state).toMatch(/^[A-Za-z0-9_-]{43}$/);
+      expect(nonce).toMatch(/^[A-Za-z0-9_-]{43}$/);
+      expect(state).not.toEqual(nonce);
+
+      expect(consumeOIDCStateFromSession(state)).toEqual({ state, nonce });
+    });
+
+    it('includes an S256 code challenge and stores the verifier in PKCE mode', async () => {
+      const config = { authnUrl: 'https://auth.example.com', pkce: true };
+      const url = await getLoginUrl(config, 'test-tenant', 'client-123');
+
+      const verifier = getCodeVerifierFromSession();
+      expect(verifier).toMatch(/^[A-Za-z0-9_-]{43}$/);
+      expect(url).toContain(`code_challenge=${await getCodeChallenge(verifier)}`);
+      expect(url).toContain('code_challenge_method=S256');
+
+      removeCodeVerifierFromSession();
+      expect(getCodeVerifierFromSession()).toBeNull();
+    });
+
+    it('includes a prompt when one is requested', async () => {
+      const config = { authnUrl: 'https://auth.example.com' };
+      expect(await getLoginUrl(config, 'test-tenant', 'client-123')).not.toContain('prompt=');
+      expect(await getLoginUrl(config, 'test-tenant', 'client-123', { prompt: 'none' })).toContain('&prompt=none');
+    });
+
+    it('sends the hub locale as ui_locales', async () => {
+      const url = new URL(await getLoginUrl({ authnUrl: 'https://auth.example.com', locale: 'de-DE' }, 'test-tenant', 'client-123'));
+      expect(url.searchParams.get('ui_locales')).toBe('de-DE');
+    });
+
+    it('sends a username deep link as login_hint', async () => {
+      const config = { authnUrl: 'https://auth.example.com' };
+      expect(new URL(await getLoginUrl(config, 'test-tenant', 'client-123')).searchParams.has('login_hint')).toBe(false);
+
+      globalThis.location.search = '?username=j%2Bdoe%40example.com';
+      const url = new URL(await getLoginUrl(config, 'test-tenant', 'client-123'));
+      expect(url.searchParams.get('login_hint')).toBe('j+doe@example.com');
+    });
+
+    it('sends per-tenant idpHint, prompt and maxAge', async () => {
+      const config = {
+        authnUrl: 'https://auth.example.com',
+        tenantOptions: {
+          'test-tenant': { name: 'test-tenant', clientId: 'client-123', idpHint: 'saml', prompt: 'login', maxAge: 3600 },
+        },
+      };
+
+      const url = new URL(await getLoginUrl(config, 'test-tenant', 'client-123'));
+      expect(url.searchParams.get('kc_idp_hint')).toBe('saml');
+      expect(url.searchParams.get('prompt')).toBe('login');
+      expect(url.searchParams.get('max_age')).toBe('3600');
+
+      const silentUrl = new URL(await getLoginUrl(config, 'test-tenant', 'client-123', { prompt: 'none' }));
+      expect(silentUrl.searchParams.getAll('prompt')).toEqual(['none']);
+    });
+
+    it('sends the chosen identity provider, or a tenant\'s only one, as kc_idp_hint', async () => {
+      const config = {
+        authnUrl: 'https://auth.example.com',
+        tenantOptions: {
+          single: { name: 'single', clientId: 'client-123', identityProviders: [{ alias: 'saml' }] },
+          several: { name: 'several', clientId: 'client-123', identityProviders: [{ alias: 'saml' }, { alias: 'keycloak' }] },
+        },
+      };
+
+      expect(new URL(await getLoginUrl(config, 'single', 'client-123')).searchParams.get('kc_idp_hint')).toBe('saml');
+      expect(new URL(await getLoginUrl(config, 'several', 'client-123')).searchParams.has('kc_idp_hint')).toBe(false);
+      expect(new URL(await getLoginUrl(config, 'several', 'client-123', { idpHint: 'keycloak' })).searchParams.get('kc_idp_hint')).toBe('keycloak');
+    });
+
+    it('uses per-tenant authnUrl and realm', async () => {
+      const config = {
+        authnUrl: 'https://auth.example.com',
+        tenantOptions: {
+          'test-tenant': { name: 'test-tenant', clientId: 'client-123', authnUrl: 'https://kc2.example.com', realm: 'library' },
+        },
+      };
+      const url = await getLoginUrl(config, 'test-tenant', 'client-123');
+      expect(url).toContain('https://kc2.example.com/realms/library/protocol/openid-connect/auth');
+    });
+  });
+
+  describe('fetchOpenIdConfiguration', () => {
+    const openIdConfiguration = {
+      authorization_endpoint: 'https://proxy.example.com/oidc/authorize',
+      end_session_endpoint: 'https://proxy.example.com/oidc/logout',
+    };
+
+    beforeEach(() => {
+      jest.spyOn(console, 'warn').mockImplementation();
+    });
+
+    afterEach(() => {
+      console.warn.mockRestore();
+    });
+
+    it('fetches the realm\'s discovery document and caches it per tenant', async () => {
+      globalThis.fetch.mockResolvedValue(makeFetchResponse({ jsonData: openIdConfiguration }));
+      const config = { authnUrl: 'https://auth.example.com' };
+
+      expect(await fetchOpenIdConfiguration(config, 'oidc-cached')).toEqual(openIdConfiguration);
+      expect(await fetchOpenIdConfiguration(config, 'oidc-cached')).toEqual(openIdConfiguration);
+      expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+      expect(globalThis.fetch).toHaveBeenCalledWith(
+        'https://auth.example.com/realms/oidc-cached/.well-known/openid-configuration',
+        expect.any(Object)
+      );
+    });
+
+    it('fetches openIdConfigurationUrl when configured', async () => {
+      globalThis.fetch.mockResolvedValue(makeFetchResponse({ jsonData: openIdConfiguration }));
+      const config = {
+        authnUrl: 'https://auth.example.com',
+        tenantOptions: {
+          'oidc-custom': { name: 'oidc-custom', clientId: 'c', openIdConfigurationUrl: 'https://proxy.example.com/oidc/.well-known/openid-configuration' },
+        },
+      };
+
+      await fetchOpenIdConfiguration(config, 'oidc-custom');
+      expect(globalThis.fetch).toHaveBeenCalledWith('https://proxy.example.com/oidc/.well-known/openid-configuration', expect.any(Object));
+    });
+
+    it('falls back to default Keycloak endpoints, without caching, on failure', async () => {
+      globalThis.fetch.mockResolvedValue(makeFetchResponse({ ok: false, status: 503, statusText: 'Unavailable' }));
+      const config = { authnUrl: 'https://auth.example.com' };
+
+      const fallback = await fetchOpenIdConfiguration(config, 'oidc-fallback');
+      expect(fallback.authorization_endpoint).toBe('https://auth.example.com/realms/oidc-fallback/protocol/openid-connect/auth');
+      expect(fallback.end_session_endpoint).toBe('https://auth.example.com/realms/oidc-fallback/protocol/openid-connect/logout');
+
+      globalThis.fetch.mockResolvedValue(makeFetchResponse({ jsonData: openIdConfiguration }));
+      expect(await fetchOpenIdConfiguration(config, 'oidc-fallback')).toEqual(openIdConfiguration);
+    });
+
+    it('is used by getLoginUrl', async () => {
+      globalThis.fetch.mockResolvedValue(makeFetchResponse({ jsonData: openIdConfiguration }));
+      const url = await getLoginUrl({ authnUrl: 'https://auth.example.com' }, 'oidc-login', 'client-123');
+      expect(url).toMatch(/^https:\/\/proxy\.example\.com\/oidc\/authorize\?client_id=client-123&/);
+    });
+
+    it('is used by getLogoutUrl', async () => {
+      globalThis.fetch.mockResolvedValue(makeFetchResponse({ jsonData: openIdConfiguration }));
+      globalThis.location.origin = 'https://example.com';
+      const url = new URL(await getLogoutUrl({ authnUrl: 'https://auth.example.com' }, 'oidc-logout', 'client-123'));
+      expect(`${url.origin}${url.pathname}`).toBe('https://proxy.example.com/oidc/logout');
+      expect(url.searchParams.get('client_id')).toBe('client-123');
+      expect(url.searchParams.get('post_logout_redirect_uri')).toBe('https://example.com/logout');
+    });
+
+    it('getLogoutUrl returns undefined when the provider has no end_session_endpoint', async () => {
+      globalThis.fetch.mockResolvedValue(makeFetchResponse({ jsonData: { authorization_endpoint: 'https://a.example.com' } }));
+      expect(await getLogoutUrl({ authnUrl: 'https://auth.example.com' }, 'oidc-no-logout', 'client-123')).toBeUndefined();
+    });
+  });
+
+  describe('consumeOIDCStateFromSession', () => {
+    it('returns null when the state does not match', async () => {
+      const url = new URL(await getLoginUrl({ authnUrl: 'https://auth.example.com' }, 'test-tenant', 'client-123'));
+      expect(consumeOIDCStateFromSession('forged')).toBeNull();
+
+      // a failed attempt also consumes the stored value
+      expect(consumeOIDCStateFromSession(url.searchParams.get('state'))).toBeNull();
+    });
+
+    it('accepts a state only once', async () => {
+      const url = new URL(await getLoginUrl({ authnUrl: 'https://auth.example.com' }, 'test-tenant', 'client-123'));
+      const state = url.searchParams.get('state');
+
+      expect(consumeOIDCStateFromSession(state)).not.toBeNull();
+      expect(consumeOIDCStateFromSession(state)).toBeNull();
+    });
+
+    it('returns null when no state is given or stored', () => {
+      expect(consumeOIDCStateFromSession(null)).toBeNull();
+      expect(consumeOIDCStateFromSession('abc')).toBeNull();
+    });
+  });
+
+  describe('getIdTokenNonce', () => {
+    it('returns the nonce claim', () => {
+      const payload = btoa(JSON.stringify({ sub: 'me', nonce: 'n-0S6_WzA2Mj' })).replaceAll('=', '');
+      expect(getIdTokenNonce(`header.${payload}.signature`)).toBe('n-0S6_WzA2Mj');
+    });
+
+    it('returns undefined for malformed tokens', () => {
+      expect(getIdTokenNonce('not-a-jwt')).toBeUndefined();
+    });
+  });
+
+  describe('PKCE helpers', () => {
+    it('generates distinct base64url verifiers', () => {
+      const a = generateCodeVerifier();
+      const b = generateCodeVerifier();
+      expect(a).toMatch(/^[A-Za-z0-9_-]{43}$/);
+      expect(a).not.toEqual(b);
+    });
+
+    it('derives the S256 challenge from the verifier', async () => {
+      // test vector from RFC 7636 Appendix B
+      const challenge = await getCodeChallenge('dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk');
+      expect(challenge).toBe('E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM');
+    });
+  });
+
+  describe('getTenantConfig', () => {
+    const config = {
+      authnUrl: 'https://auth.example.com',
+      gatewayUrl: 'https://gateway.example.com',
+      tenantOptions: {
+        diku: { name: 'diku', clientId: 'diku-app' },
+        other: { name: 'other', clientId: 'other-app', authnUrl: 'https://kc2.example.com', gatewayUrl: 'https://gw2.example.com', realm: 'other-realm' },
+      },
+    };
+
+    it('uses global values and the tenant name as realm by default', () => {
+      const tenantConfig = getTenantConfig(config, 'diku');
+      expect(tenantConfig.authnUrl).toBe(config.authnUrl);
+      expect(tenantConfig.gatewayUrl).toBe(config.gatewayUrl);
+      expect(tenantConfig.realm).toBe('diku');
+      expect(tenantConfig.tenantOptions).toEqual(config.tenantOptions);
+    });
+
+    it('uses per-tenant overrides', () => {
+      const tenantConfig = getTenantConfig(config, 'other');
+      expect(tenantConfig.authnUrl).toBe('https://kc2.example.com');
+      expect(tenantConfig.gatewayUrl).toBe('https://gw2.example.com');
+      expect(tenantConfig.realm).toBe('other-realm');
+    });
+
+    it('uses global values for unknown tenants', () => {
+      const tenantConfig = getTenantConfig(config, undefined);
+      expect(tenantConfig.gatewayUrl).toBe(config.gatewayUrl);
     });
   });
 
@@ -118,6 +415,76 @@ describe('loginServices', () => {
   });
 
   // this fails in CI but runs fine locally. what the ...?
+  describe('silent SSO helpers', () => {
+    it('records a silent SSO attempt in session storage', () => {
+      expect(hasSilentSsoAttemptedInSession()).toBe(false);
+      setSilentSsoAttemptedToSession();
+      expect(hasSilentSsoAttemptedInSession()).toBe(true);
+      removeSilentSsoAttemptedFromSession();
+      expect(hasSilentSsoAttemptedInSession()).toBe(false);
+    });
+
+    it('recognizes errors that call for the interactive flow', () => {
+      expect(isSilentSsoFallbackError('login_required')).toBe(true);
+      expect(isSilentSsoFallbackError('interaction_required')).toBe(true);
+      expect(isSilentSsoFallbackError('access_denied')).toBe(false);
+      expect(isSilentSsoFallbackError(null)).toBe(false);
+    });
+  });
+
+  describe('hasSession', () => {
+    it('returns false when nothing is stored', () => {
+      expect(hasSession()).toBe(false);
+    });
+
+    it('returns true when a session or tenant is stored', () => {
+      localStorage.setItem(TENANT_LOCAL_STORAGE_KEY, JSON.stringify({ name: 'diku' }));
+      expect(hasSession()).toBe(true);
+    });
+  });
+
+  describe('logout', () => {
+    it('ends the server session and purges local data', async () => {
+      globalThis.fetch.mockResolvedValue(makeFetchResponse());
+      localStorage.setItem(SESSION_NAME, 'true');
+      localStorage.setItem(FOLIO_CONFIG_KEY, '{}');
+      localforage.removeItem.mockResolvedValue();
+
+      await logout(defaultConfig);
+      expect(globalThis.fetch).toHaveBeenCalledWith('https://gateway.example.com/authn/logout', {
+        method: 'POST',
+        credentials: 'include',
+      });
+      expect(localStorage.getItem(SESSION_NAME)).toBeNull();
+      expect(localStorage.getItem(FOLIO_CONFIG_KEY)).toBeNull();
+      expect(localforage.removeItem).toHaveBeenCalledWith(SESSION_NAME);
+      expect(localforage.removeItem).toHaveBeenCalledWith(EXCLUDED_MODULES_KEY);
+    });
+
+    it('purges local data even if the server call fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation();
+      globalThis.fetch.mockRejectedValue(new Error('network down'));
+      localStorage.setItem(SESSION_NAME, 'true');
+      localforage.removeItem.mockResolvedValue();
+
+      expect(await logout(defaultConfig)).toBeUndefined();
+      expect(localStorage.getItem(SESSION_NAME)).toBeNull();
+      console.error.mockRestore();
+    });
+
+    it('returns the provider logout URL for the current tenant', async () => {
+      globalThis.fetch.mockResolvedValue(makeFetchResponse({
+        jsonData: { end_session_endpoint: 'https://auth.example.com/logout' },
+      }));
+      localStorage.setItem(TENANT_LOCAL_STORAGE_KEY, JSON.stringify({ name: 'logout-tenant', clientId: 'client-123' }));
+      localforage.removeItem.mockResolvedValue();
+
+      const url = await logout({ ...defaultConfig, authnUrl: 'https://auth.example.com' });
+      expect(url).toMatch(/^https:\/\/auth\.example\.com\/logout\?client_id=client-123&/);
+      expect(localStorage.getItem(TENANT_LOCAL_STORAGE_KEY)).toBeNull();
+    });
+  });
+
   describe('getLoginTenant', () => {
     beforeEach(() => {
       globalThis.location = {
@@ -181,6 +548,149 @@ describe('loginServices', () => {
     });
   });
 
+  describe('getHostTenant', () => {
+    const config = {
+      hostTenants: {
+        'lib-a.folio.example.org': 'liba',
+        '*.lib-b.example.org': 'libb',
+        'x.lib-b.example.org': 'libx',
+      },
+      tenantOptions: {
+        liba: { name: 'liba', clientId: 'liba-app' },
+        libb: { name: 'libb', clientId: 'libb-app' },
+        libx: { name: 'libx', clientId: 'libx-app' },
+      },
+    };
+
+    beforeEach(() => {
+      globalThis.location = { search: '' };
+    });
+
+    it('returns the tenant mapped to the exact hostname', () => {
+      globalThis.location.hostname = 'LIB-A.folio.example.org';
+      expect(getHostTenant(config)).toEqual(config.tenantOptions.liba);
+    });
+
+    it('returns the tenant mapped to a matching pattern', () => {
+      globalThis.location.hostname = 'folio.lib-b.example.org';
+      expect(getHostTenant(config)).toEqual(config.tenantOptions.libb);
+    });
+
+    it('prefers exact hostnames over patterns', () => {
+      globalThis.location.hostname = 'x.lib-b.example.org';
+      expect(getHostTenant(config)).toEqual(config.tenantOptions.libx);
+    });
+
+    it('matches exactly one hostname label per wildcard', () => {
+      globalThis.location.hostname = 'a.b.lib-b.example.org';
+      expect(getHostTenant(config)).toBeUndefined();
+    });
+
+    it('does not treat dots in patterns as wildcards', () => {
+      globalThis.location.hostname = 'lib-aXfolio.example.org';
+      expect(getHostTenant(config)).toBeUndefined();
+    });
+
+    it('returns undefined when hostTenants is not configured', () => {
+      globalThis.location.hostname = 'lib-a.folio.example.org';
+      expect(getHostTenant({ tenantOptions: config.tenantOptions })).toBeUndefined();
+    });
+
+    it('is used by getLoginTenant when URL params are absent', () => {
+      globalThis.location.hostname = 'lib-a.folio.example.org';
+      expect(getLoginTenant(config)).toEqual({ name: 'liba', clientId: 'liba-app' });
+    });
+
+    it('does not pair another tenant in the URL with the host tenant clientId', () => {
+      globalThis.location.hostname = 'lib-a.folio.example.org';
+      globalThis.location.search = '?tenant=libb';
+      expect(getLoginTenant(config)).toEqual({ name: 'libb', clientId: null });
+    });
+
+    it('fills in the host tenant clientId when the URL names the host tenant', () => {
+      globalThis.location.hostname = 'lib-a.folio.example.org';
+      globalThis.location.search = '?tenant=liba';
+      expect(getLoginTenant(config)).toEqual({ name: 'liba', clientId: 'liba-app' });
+    });
+
+    it('is overridden by URL params in getLoginTenant', () => {
+      globalThis.location.hostname = 'lib-a.folio.example.org';
+      globalThis.location.search = '?tenant=libb&client_id=libb-app';
+      expect(getLoginTenant(config)).toEqual({ name: 'libb', clientId: 'libb-app' });
+    });
+  });
+
+  describe('session channel', () => {
+    let postMessage;
+    const originalBroadcastChannel = globalThis.BroadcastChannel;
+
+    beforeEach(() => {
+      postMessage = jest.fn();
+      globalThis.BroadcastChannel = jest.fn(function MockBroadcastChannel() {
+        this.postMessage = postMessage;
+        this.close = jest.fn();
+      });
+      localforage.setItem.mockResolvedValue();
+      localforage.getItem.mockResolvedValue(null);
+      localforage.removeItem.mockResolvedValue();
+    });
+
+    afterEach(() => {
+      globalThis.BroadcastChannel = originalBroadcastChannel;
+    });
+
+    it('broadcastSessionEvent posts to the session channel', () => {
+      broadcastSessionEvent(SESSION_EVENTS.LOGIN, 'diku');
+      expect(globalThis.BroadcastChannel).toHaveBeenCalledWith(SESSION_CHANNEL);
+      expect(postMessage).toHaveBeenCalledWith({ type: SESSION_EVENTS.LOGIN, tenant: 'diku' });
+    });
+
+    it('broadcastSessionEvent is a no-op without BroadcastChannel', () => {
+      delete globalThis.BroadcastChannel;
+      expect(() => broadcastSessionEvent(SESSION_EVENTS.LOGIN, 'diku')).not.toThrow();
+    });
+
+    it('announces a tenant switch, but not the first tenant or the same tenant', () => {
+      storeCurrentTenant('diku', 'diku-app');
+      storeCurrentTenant('diku', 'diku-app');
+      expect(postMessage).not.toHaveBeenCalled();
+
+      storeCurrentTenant('fs09', 'fs09-app');
+      expect(postMessage).toHaveBeenCalledWith({ type: SESSION_EVENTS.TENANT_SWITCH, tenant: 'fs09' });
+    });
+
+    it('announces a new session, but not a refreshed one', async () => {
+      const data = { user: { id: '1' }, permissions: { permissions: [] } };
+
+      await createSession('diku', 'token', data);
+      expect(postMessage).toHaveBeenCalledWith({ type: SESSION_EVENTS.LOGIN, tenant: 'diku' });
+
+      postMessage.mockClear();
+      await createSession('diku', 'token', data);
+      expect(postMessage).not.toHaveBeenCalled();
+    });
+
+    it('announces a login in another tab after the session expired', async () => {
+      const data = { user: { id: '1' }, permissions: { permissions: [] } };
+      await createSession('diku', 'token', data);
+
+      // this tab finds the session has expired and sends the user to /session-expired
+      forgetExpiredSession();
+      expect(localStorage.getItem(SESSION_NAME)).toBeNull();
+
+      // the user logs in again in another tab, which shares local storage
+      postMessage.mockClear();
+      await createSession('diku', 'token', data);
+      expect(postMessage).toHaveBeenCalledWith({ type: SESSION_EVENTS.LOGIN, tenant: 'diku' });
+    });
+
+    it('announces a logout', async () => {
+      globalThis.fetch.mockResolvedValue(makeFetchResponse());
+      await logout(defaultConfig);
+      expect(postMessage).toHaveBeenCalledWith({ type: SESSION_EVENTS.LOGOUT, tenant: undefined });
+    });
+  });
+
   describe('getCurrentTenant', () => {
     it('retrieves tenant from localStorage', () => {
       const storedTenant = { name: 'test', clientId: '123' };
@@ -194,6 +704,68 @@ describe('loginServices', () => {
     });
   });
 
+  describe('getDefaultAffiliation, storeDefaultAffiliation', () => {
+    it('remembers each user\'s affiliation', () => {
+      expect(getDefaultAffiliation('u1')).toBeUndefined();
+
+      storeDefaultAffiliation('u1', 'diku');
+      storeDefaultAffiliation('u2', 'fs09');
+      expect(getDefaultAffiliation('u1')).toBe('diku');
+      expect(getDefaultAffiliation('u2')).toBe('fs09');
+    });
+  });
+
+  describe('getTenantBranding', () => {
+    const branding = { logo: { src: '/logo.png', alt: 'Consortium' }, favicon: { src: '/favicon.ico' } };
+    const config = {
+      tenantOptions: {
+        fs09: { name: 'fs09', clientId: 'fs09-app', branding: { logo: { src: '/fs09.png', alt: 'FS09' } } },
+        diku: { name: 'diku', clientId: 'diku-app' },
+      },
+    };
+
+    it('overlays the current tenant branding', () => {
+      storeCurrentTenant('fs09', 'fs09-app');
+      expect(getTenantBranding(config, branding)).toEqual({
+        logo: { src: '/fs09.png', alt: 'FS09' },
+        favicon: { src: '/favicon.ico' },
+      });
+    });
+
+    it('returns branding as-is when the tenant has none, or is unknown', () => {
+      expect(getTenantBranding(config, branding)).toBe(branding);
+      storeCurrentTenant('diku', 'diku-app');
+      expect(getTenantBranding(config, branding)).toBe(branding);
+    });
+  });
+
+  describe('getRecentTenants', () => {
+    it('returns an empty list when there is no history', () => {
+      expect(getRecentTenants()).toEqual([]);
+      localStorage.setItem('recentTenants', 'not json');
+      expect(getRecentTenants()).toEqual([]);
+    });
+
+    it('is kept by storeCurrentTenant, most recent first, without duplicates', () => {
+      ['a', 'b', 'c', 'b', 'd', 'e', 'f'].forEach(name => storeCurrentTenant(name, `${name}-app`));
+      expect(getRecentTenants()).toEqual(['f', 'e', 'd', 'b', 'c']);
+    });
+
+    it('ignores empty tenant selections', () => {
+      storeCurrentTenant('a', 'a-app');
+      storeCurrentTenant('', '');
+      expect(getRecentTenants()).toEqual(['a']);
+    });
+  });
+
+  describe('removeCurrentTenant', () => {
+    it('removes tenant from localStorage', () => {
+      storeCurrentTenant('test', '123');
+      removeCurrentTenant();
+      expect(getCurrentTenant()).toBeUndefined();
+    });
+  });
+
   describe('storeCurrentTenant', () => {
     it('stores tenant in localStorage', () => {
       const name = 'test';
@@ -213,6 +785,10 @@ describe('loginServices', () => {
   });
 
   describe('unauthorized path functions', () => {
+    beforeEach(() => {
+      globalThis.location = { origin: 'https://example.com', pathname: '/some-path', search: '' };
+    });
+
     it('sets unauthorized path', () => {
       setUnauthorizedPathToSession('/test-path');
       expect(sessionStorage.getItem('unauthorized_path')).toBe('/test-path');
@@ -235,6 +811,55 @@ describe('loginServices', () => {
       setUnauthorizedPathToSession('/authn-login');
       expect(sessionStorage.getItem('unauthorized_path')).toBeNull();
     });
+
+    it('stores a normalized path', () => {
+      setUnauthorizedPathToSession('/users/../inventory?q=1');
+      expect(sessionStorage.getItem('unauthorized_path')).toBe('/inventory?q=1');
+    });
+
+    it('does not set off-site paths', () => {
+      setUnauthorizedPathToSession('//evil.example/path');
+      setUnauthorizedPathToSession('javascript:alert(1)');
+      expect(sessionStorage.getItem('unauthorized_path')).toBeNull();
+    });
+  });
+
+  describe('getSafeReturnPath', () => {
+    beforeEach(() => {
+      globalThis.location = { origin: 'https://example.com' };
+      jest.spyOn(console, 'warn').mockImplementation();
+    });
+
+    afterEach(() => {
+      console.warn.mockRestore();
+    });
+
+    it('returns / when there is no path', () => {
+      expect(getSafeReturnPath(null)).toBe('/');
+      expect(console.warn).not.toHaveBeenCalled();
+    });
+
+    it('returns a same-origin path with its query and fragment', () => {
+      expect(getSafeReturnPath('/inventory/view?q=1#top')).toBe('/inventory/view?q=1#top');
+    });
+
+    it.each([
+      '//evil.example',
+      '/\\evil.example',
+      '/\t/evil.example',
+      'https://evil.example/inventory',
+      'javascript:alert(1)',
+      'inventory',
+    ])('rejects %p', (path) => {
+      expect(getSafeReturnPath(path)).toBe('/');
+      expect(console.warn).toHaveBeenCalledWith('Ignoring unsafe return path', path);
+    });
+
+    it('enforces the configured prefix allowlist', () => {
+      const config = { returnPathPrefixes: ['/inventory', '/users'] };
+      expect(getSafeReturnPath('/users/123', config)).toBe('/users/123');
+      expect(getSafeReturnPath('/settings', config)).toBe('/');
+    });
   });
 
   describe('fetchEntitlements', () => {
@@ -255,6 +880,193 @@ describe('loginServices', () => {
       expect(result.mod1.applicationId).toBe(mockJson.applicationDescriptors[0].id);
     });
 
+    it('follows pagination until every application is collected', async () => {
+      const application = (n) => ({
+        id: `app${n}`,
+        uiModules: [{ id: `mod${n}`, name: `module${n}` }],
+        uiModuleDescriptors: [],
+      });
+      const firstPage = Array.from({ length: 500 }, (_v, n) => application(n));
+      globalThis.fetch
+        .mockResolvedValueOnce(makeFetchResponse({ jsonData: { applicationDescriptors: firstPage, totalRecords: 501 } }))
+        .mockResolvedValueOnce(makeFetchResponse({ jsonData: { applicationDescriptors: [application(500)], totalRecords: 501 } }));
+
+      const result = await fetchEntitlements(defaultConfig, 'test-tenant');
+      expect(globalThis.fetch).toHaveBeenCalledTimes(2);
+      expect(globalThis.fetch.mock.calls[0][0]).toBe(`${defaultConfig.gatewayUrl}/entitlements/test-tenant/applications?limit=500&offset=0`);
+      expect(globalThis.fetch.mock.calls[1][0]).toBe(`${defaultConfig.gatewayUrl}/entitlements/test-tenant/applications?limit=500&offset=500`);
+      expect(Object.keys(result)).toHaveLength(501);
+      expect(result.mod500.applicationId).toBe('app500');
+    });
+
+    it('keeps paging when the server caps the page size below the requested limit', async () => {
+      const application = (n) => ({
+        id: `app${n}`,
+        uiModules: [{ id: `mod${n}`, name: `module${n}` }],
+        uiModuleDescriptors: [],
+      });
+      const page = (from) => Array.from({ length: 100 }, (_v, n) => application(from + n));
+      globalThis.fetch
+        .mockResolvedValueOnce(makeFetchResponse({ jsonData: { applicationDescriptors: page(0), totalRecords: 250 } }))
+        .mockResolvedValueOnce(makeFetchResponse({ jsonData: { applicationDescriptors: page(100), totalRecords: 250 } }))
+        .mockResolvedValueOnce(makeFetchResponse({ jsonData: { applicationDescriptors: page(200).slice(0, 50), totalRecords: 250 } }));
+
+      const result = await fetchEntitlements(defaultConfig, 'test-tenant');
+      expect(globalThis.fetch).toHaveBeenCalledTimes(3);
+      expect(globalThis.fetch.mock.calls[1][0]).toBe(`${defaultConfig.gatewayUrl}/entitlements/test-tenant/applications?limit=500&offset=100`);
+      expect(globalThis.fetch.mock.calls[2][0]).toBe(`${defaultConfig.gatewayUrl}/entitlements/test-tenant/applications?limit=500&offset=200`);
+      expect(Object.keys(result)).toHaveLength(250);
+    });
+
+    it('takes the package name from the module descriptor', async () => {
+      globalThis.fetch.mockResolvedValue(makeFetchResponse({
+        jsonData: {
+          applicationDescriptors: [{
+            id: 'app1',
+            uiModules: [{ id: 'mod1', name: 'folio_users' }, { id: 'mod2', name: 'folio_inventory' }],
+            uiModuleDescriptors: [{ id: 'mod1', metadata: { name: '@folio/users' } }, { id: 'mod2' }],
+          }],
+        },
+      }));
+
+      const result = await fetchEntitlements(defaultConfig, 'test-tenant');
+      expect(result.mod1.packageName).toBe('@folio/users');
+      expect(result.mod2).not.toHaveProperty('packageName');
+    });
+
+    describe('interface compatibility', () => {
+      const application = {
+        id: 'app1',
+        uiModules: [{ id: 'mod1', name: 'folio_users' }, { id: 'mod2', name: 'folio_inventory' }],
+        uiModuleDescriptors: [
+          { id: 'mod1', requires: [{ id: 'users', version: '16.1' }, { id: 'permissions', version: '5.6' }] },
+          { id: 'mod2', requires: [{ id: 'inventory', version: '13.0 14.0' }, { id: 'holdings', version: '3.2' }] },
+        ],
+      };
+
+      beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation();
+      });
+
+      afterEach(() => {
+        console.warn.mockRestore();
+      });
+
+      it('flags modules whose required interfaces the backend modules do not provide', async () => {
+        globalThis.fetch.mockResolvedValue(makeFetchResponse({
+          jsonData: {
+            applicationDescriptors: [{
+              ...application,
+              moduleDescriptors: [
+                { id: 'mod-users', provides: [{ id: 'users', version: '16.3' }] },
+                { id: 'mod-permissions', provides: [{ id: 'permissions', version: '5.8' }] },
+                { id: 'mod-inventory', provides: [{ id: 'inventory', version: '14.1' }, { id: 'holdings', version: '3.1' }] },
+              ],
+            }],
+          },
+        }));
+
+        const result = await fetchEntitlements(defaultConfig, 'test-tenant');
+        expect(result.mod1).not.toHaveProperty('missingInterfaces');
+        expect(result.mod2.missingInterfaces).toEqual([{ id: 'holdings', required: '3.2', provided: ['3.1'] }]);
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('folio_inventory'));
+      });
+
+      it('checks against the interfaces at interfacesUrl', async () => {
+        globalThis.fetch
+          .mockResolvedValueOnce(makeFetchResponse({ jsonData: { applicationDescriptors: [application] } }))
+          .mockResolvedValueOnce(makeFetchResponse({
+            jsonData: [{ id: 'users', version: '16.0' }, { id: 'permissions', version: '5.6' }, { id: 'inventory', version: '13.2' }, { id: 'holdings', version: '3.2' }],
+          }));
+
+        const config = { ...defaultConfig, interfacesUrl: '/_/proxy/tenants/{tenant}/interfaces' };
+        const result = await fetchEntitlements(config, 'test-tenant');
+        expect(globalThis.fetch.mock.calls[1][0]).toBe(`${defaultConfig.gatewayUrl}/_/proxy/tenants/test-tenant/interfaces`);
+        expect(result.mod1.missingInterfaces).toEqual([{ id: 'users', required: '16.1', provided: ['16.0'] }]);
+        expect(result.mod2).not.toHaveProperty('missingInterfaces');
+      });
+
+      describe('with a required interface served outside applications', () => {
+        const managerApplication = {
+          id: 'app1',
+          uiModules: [{ id: 'mod1', name: 'folio_tenant-settings' }],
+          uiModuleDescriptors: [{ id: 'mod1', requires: [{ id: 'entitlements', version: '1.1' }] }],
+          moduleDescriptors: [{ id: 'mod-users', provides: [{ id: 'users', version: '16.3' }] }],
+        };
+
+        beforeEach(() => {
+          globalThis.fetch.mockResolvedValue(makeFetchResponse({ jsonData: { applicationDescriptors: [managerApplication] } }));
+        });
+
+        it('flags the module by default', async () => {
+          const result = await fetchEntitlements(defaultConfig, 'test-tenant');
+          expect(result.mod1.missingInterfaces).toEqual([{ id: 'entitlements', required: '1.1', provided: [] }]);
+        });
+
+        it('flags the module with interfaceCheck: warn, leaving useInitSession to load it', async () => {
+          const result = await fetchEntitlements({ ...defaultConfig, interfaceCheck: 'warn' }, 'test-tenant');
+          expect(result.mod1.missingInterfaces).toHaveLength(1);
+          expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('entitlements 1.1'));
+        });
+
+        it('does not check with interfaceCheck: off', async () => {
+          const result = await fetchEntitlements({ ...defaultConfig, interfaceCheck: 'off', interfacesUrl: '/interfaces' }, 'test-tenant');
+          expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+          expect(result.mod1).not.toHaveProperty('missingInterfaces');
+          expect(console.warn).not.toHaveBeenCalled();
+        });
+      });
+
+      it('does not check when the provided interfaces are unknown', async () => {
+        globalThis.fetch.mockResolvedValue(makeFetchResponse({ jsonData: { applicationDescriptors: [application] } }));
+
+        const result = await fetchEntitlements(defaultConfig, 'test-tenant');
+        expect(result.mod1).not.toHaveProperty('missingInterfaces');
+        expect(result.mod2).not.toHaveProperty('missingInterfaces');
+      });
+
+      it('does not check when interfacesUrl cannot be fetched', async () => {
+        globalThis.fetch
+          .mockResolvedValueOnce(makeFetchResponse({ jsonData: { applicationDescriptors: [application] } }))
+          .mockResolvedValueOnce(makeFetchResponse({ ok: false, status: 404, statusText: 'Not Found' }));
+
+        const config = { ...defaultConfig, interfacesUrl: 'https://interfaces.example.com/{tenant}' };
+        const result = await fetchEntitlements(config, 'test-tenant');
+        expect(result.mod1).not.toHaveProperty('missingInterfaces');
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('https://interfaces.example.com/test-tenant'), expect.anything());
+      });
+    });
+
+    it('revalidates cached responses with their ETag', async () => {
+      const url = `${defaultConfig.gatewayUrl}/entitlements/test-tenant/applications?limit=500&offset=0`;
+      const cachedJson = {
+        applicationDescriptors: [{ id: 'app1', uiModules: [{ id: 'mod1', name: 'module1' }], uiModuleDescriptors: [] }],
+      };
+      const responses = { [url]: { etag: '"v1"', json: cachedJson } };
+      globalThis.fetch.mockResolvedValue(makeFetchResponse({ ok: false, status: 304, statusText: 'Not Modified' }));
+
+      const result = await fetchEntitlements(defaultConfig, 'test-tenant', responses);
+      expect(globalThis.fetch).toHaveBeenCalledWith(url, expect.objectContaining({
+        headers: expect.objectContaining({ 'If-None-Match': '"v1"' }),
+      }));
+      expect(result.mod1.applicationId).toBe('app1');
+    });
+
+    it('stores responses that carry an ETag', async () => {
+      const jsonData = { applicationDescriptors: [] };
+      const responses = {};
+      globalThis.fetch.mockResolvedValue(makeFetchResponse({
+        jsonData,
+        headers: { get: jest.fn(name => (name === 'ETag' ? '"v2"' : null)) },
+      }));
+
+      await fetchEntitlements(defaultConfig, 'test-tenant', responses);
+      expect(globalThis.fetch.mock.calls[0][1].headers).not.toHaveProperty('If-None-Match');
+      expect(responses).toEqual({
+        [`${defaultConfig.gatewayUrl}/entitlements/test-tenant/applications?limit=500&offset=0`]: { etag: '"v2"', json: jsonData },
+      });
+    });
+
     it('throws on fetch error', async () => {
       globalThis.fetch.mockResolvedValue(makeFetchResponse({ ok: false, status: 500, jsonData: {} }));
 
@@ -273,6 +1085,96 @@ describe('loginServices', () => {
       expect(result.mod1.module).toBe('@folio/mod1');
     });
 
+    it('fetches discovery data for several applications concurrently, up to the limit', async () => {
+      const entitlement = {
+        mod1: { name: 'folio_mod1', applicationId: 'app1' },
+        mod2: { name: 'folio_mod2', applicationId: 'app2' },
+        mod3: { name: 'folio_mod3', applicationId: 'app3' },
+      };
+
+      let inFlight = 0;
+      let maxInFlight = 0;
+      globalThis.fetch.mockImplementation(async (url) => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise(resolve => setTimeout(resolve, 0));
+        inFlight--;
+
+        const appId = url.match(/applications\/(app\d)\//)[1];
+        return makeFetchResponse({ jsonData: { discovery: [{ id: appId.replace('app', 'mod'), location: `https://${appId}.example.com` }] } });
+      });
+
+      const result = await fetchDiscovery({ ...defaultConfig, discoveryConcurrency: 2 }, 'test-tenant', entitlement);
+      expect(globalThis.fetch).toHaveBeenCalledTimes(3);
+      expect(maxInFlight).toBe(2);
+      expect(Object.keys(result)).toEqual(['mod1', 'mod2', 'mod3']);
+      expect(result.mod3.location).toBe('https://app3.example.com');
+    });
+
+    it('logs when the server returns fewer records than it reports', async () => {
+      jest.spyOn(console, 'warn').mockImplementation();
+      const entitlement = { mod1: { name: 'folio_mod1', applicationId: 'app1' } };
+      globalThis.fetch
+        .mockResolvedValueOnce(makeFetchResponse({
+          jsonData: { discovery: [{ id: 'mod1', location: 'https://mod1.example.com' }], totalRecords: 3 },
+        }))
+        .mockResolvedValueOnce(makeFetchResponse({ jsonData: { discovery: [], totalRecords: 3 } }));
+
+      const result = await fetchDiscovery(defaultConfig, 'test-tenant', entitlement);
+      expect(globalThis.fetch).toHaveBeenCalledTimes(2);
+      expect(globalThis.fetch.mock.calls[0][0]).toBe(`${defaultConfig.gatewayUrl}/applications/app1/discovery?limit=500&offset=0`);
+      expect(globalThis.fetch.mock.calls[1][0]).toBe(`${defaultConfig.gatewayUrl}/applications/app1/discovery?limit=500&offset=1`);
+      expect(result.mod1.location).toBe('https://mod1.example.com');
+      expect(console.warn).toHaveBeenCalledWith(`${defaultConfig.gatewayUrl}/applications/app1/discovery reported 3 records but returned 1`);
+      console.warn.mockRestore();
+    });
+
+    it('reports every application whose discovery fetch failed', async () => {
+      const entitlement = {
+        mod1: { name: 'folio_mod1', applicationId: 'app1' },
+        mod2: { name: 'folio_mod2', applicationId: 'app2' },
+        mod3: { name: 'folio_mod3', applicationId: 'app3' },
+      };
+      globalThis.fetch.mockImplementation(async (url) => (
+        url.includes('app2')
+          ? makeFetchResponse({ jsonData: { discovery: [{ id: 'mod2', location: 'https://app2.example.com' }] } })
+          : makeFetchResponse({ ok: false, status: 500, jsonData: { message: 'whoops' } })
+      ));
+
+      const error = await fetchDiscovery(defaultConfig, 'test-tenant', entitlement).catch(e => e);
+      expect(error).toBeInstanceOf(StripesHubError);
+      expect(error.message).toBe('Discovery fetch error for applications app1, app3');
+      expect(error.options).toEqual(expect.objectContaining({
+        applicationIds: ['app1', 'app3'],
+        url: `${defaultConfig.gatewayUrl}/applications/app1/discovery`,
+        json: { message: 'whoops' },
+        values: { applicationIds: 'app1, app3' },
+      }));
+      expect(error.options.cause.errors).toHaveLength(2);
+    });
+
+    it('takes package names from config, then module descriptors, then guesses', async () => {
+      jest.spyOn(console, 'warn').mockImplementation();
+      const entitlement = {
+        mod1: { name: 'folio_mod1', applicationId: 'app1' },
+        mod2: { name: 'oh_noes_hosed', applicationId: 'app1', packageName: '@oh_noes/hosed' },
+        mod3: { name: 'folio_mod_3', applicationId: 'app1', packageName: '@folio/mod_3' },
+      };
+      const mockJson = {
+        discovery: ['mod1', 'mod2', 'mod3'].map(id => ({ id, location: `https://${id}.example.com` })),
+      };
+      globalThis.fetch.mockResolvedValue(makeFetchResponse({ jsonData: mockJson }));
+
+      const config = { ...defaultConfig, modulePackageNames: { folio_mod_3: '@folio/module-three' } };
+      const result = await fetchDiscovery(config, 'test-tenant', entitlement);
+      expect(result.mod1.module).toBe('@folio/mod1');
+      expect(result.mod2.module).toBe('@oh_noes/hosed');
+      expect(result.mod3.module).toBe('@folio/module-three');
+      expect(console.warn).toHaveBeenCalledTimes(1);
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('folio_mod1'));
+      console.warn.mockRestore();
+    });
+
     it('uses custom discovery URL when provided', async () => {
       const entitlement = { mod2: { name: 'folio_mod2', applicationId: 'app2' } };
       const mockJson = { discovery: [{ id: 'mod2', name: 'folio_mod2', location: 'https://mod2.example.com' }] };
@@ -307,6 +1209,154 @@ describe('loginServices', () => {
     });
   });
 
+  describe('isVersionCompatible', () => {
+    it.each([
+      ['16.1', '16.1', true],
+      ['16.3', '16.1', true],
+      ['16.1.2', '16.1.1', true],
+      ['16.0', '16.1', false],
+      ['16.1.0', '16.1.1', false],
+      ['17.0', '16.1', false],
+      ['15.9', '16.0', false],
+    ])('provided %s satisfies required %s: %s', (got, wanted, expected) => {
+      expect(isVersionCompatible(got, wanted)).toBe(expected);
+    });
+  });
+
+  describe('getModuleOverrides, resetModuleOverrides', () => {
+    const search = globalThis.location.search;
+
+    afterEach(() => {
+      globalThis.location.search = search;
+    });
+
+    it('returns config overrides', () => {
+      const config = { moduleOverrides: { folio_users: 'http://localhost:3001' } };
+
+      expect(getModuleOverrides(config)).toEqual({ overrides: config.moduleOverrides, localOverrides: {} });
+    });
+
+    it('ignores local overrides unless they are allowed', () => {
+      localStorage.setItem(MODULE_OVERRIDES_KEY, JSON.stringify({ folio_users: 'http://localhost:3001' }));
+      globalThis.location.search = '?moduleOverride.folio_inventory=http://localhost:3002';
+
+      expect(getModuleOverrides({})).toEqual({ overrides: {}, localOverrides: {} });
+    });
+
+    it('stores query-string overrides alongside local ones', () => {
+      localStorage.setItem(MODULE_OVERRIDES_KEY, JSON.stringify({ folio_users: 'http://localhost:3001', folio_tags: 'http://localhost:3003' }));
+      globalThis.location.search = '?tenant=diku&moduleOverride.folio_inventory=http://localhost:3002&moduleOverride.folio_tags=';
+      const config = { allowModuleOverrides: true, moduleOverrides: { folio_users: 'https://users.example.com', folio_notes: 'https://notes.example.com' } };
+
+      const localOverrides = { folio_users: 'http://localhost:3001', folio_inventory: 'http://localhost:3002' };
+      expect(getModuleOverrides(config)).toEqual({
+        overrides: { ...localOverrides, folio_notes: 'https://notes.example.com' },
+        localOverrides,
+      });
+      expect(JSON.parse(localStorage.getItem(MODULE_OVERRIDES_KEY))).toEqual(localOverrides);
+    });
+
+    it('discards local overrides', () => {
+      localStorage.setItem(MODULE_OVERRIDES_KEY, JSON.stringify({ folio_users: 'http://localhost:3001' }));
+      resetModuleOverrides();
+
+      expect(getModuleOverrides({ allowModuleOverrides: true })).toEqual({ overrides: {}, localOverrides: {} });
+    });
+  });
+
+  describe('applyModuleOverrides', () => {
+    const modules = {
+      'folio_users-1.0.0': { name: 'folio_users', location: 'https://users.example.com' },
+      'folio_inventory-2.0.0': { name: 'folio_inventory', location: 'https://inventory.example.com' },
+    };
+
+    beforeEach(() => {
+      jest.spyOn(console, 'info').mockImplementation();
+      jest.spyOn(console, 'warn').mockImplementation();
+    });
+
+    afterEach(() => {
+      console.info.mockRestore();
+      console.warn.mockRestore();
+    });
+
+    it('replaces locations by module ID or name', () => {
+      const result = applyModuleOverrides(modules, {
+        folio_users: 'http://localhost:3001',
+        'folio_inventory-2.0.0': 'http://localhost:3002',
+      });
+
+      expect(result['folio_users-1.0.0'].location).toBe('http://localhost:3001');
+      expect(result['folio_inventory-2.0.0'].location).toBe('http://localhost:3002');
+      expect(modules['folio_users-1.0.0'].location).toBe('https://users.example.com');
+      expect(console.warn).not.toHaveBeenCalled();
+    });
+
+    it('warns about overrides that match no module', () => {
+      const result = applyModuleOverrides(modules, { folio_user: 'http://localhost:3001' });
+
+      expect(result).toEqual(modules);
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('folio_user'));
+    });
+
+    it('returns the modules as-is without overrides', () => {
+      expect(applyModuleOverrides(modules, {})).toBe(modules);
+    });
+  });
+
+  describe('getExcludedModules', () => {
+    it('retrieves the excluded modules', async () => {
+      const excluded = [{ id: 'mod1', name: 'folio_users', missingInterfaces: [] }];
+      localforage.getItem.mockResolvedValue(excluded);
+
+      expect(await getExcludedModules()).toBe(excluded);
+      expect(localforage.getItem).toHaveBeenCalledWith(EXCLUDED_MODULES_KEY);
+    });
+
+    it('defaults to an empty list', async () => {
+      localforage.getItem.mockResolvedValue(null);
+
+      expect(await getExcludedModules()).toEqual([]);
+    });
+  });
+
+  describe('getModuleCache, storeModuleCache', () => {
+    const modules = { entitlement: { mod1: {} }, discovery: { mod1: {} }, responses: { url: { etag: '"1"', json: {} } } };
+
+    it('stores modules per tenant', async () => {
+      localforage.setItem.mockResolvedValue();
+
+      await storeModuleCache({ moduleCacheVersion: '2' }, 'diku', modules);
+      expect(localforage.setItem).toHaveBeenCalledWith(`${MODULE_CACHE_KEY}.diku`, {
+        ...modules,
+        version: '2',
+        fetchedAt: expect.any(Number),
+      });
+    });
+
+    it('reports whether the cache is fresh', async () => {
+      localforage.getItem.mockResolvedValue({ ...modules, fetchedAt: Date.now() - (30 * 1000) });
+
+      expect(await getModuleCache({ moduleCacheTtl: 60 }, 'diku')).toEqual(expect.objectContaining({ ...modules, isFresh: true }));
+      expect(await getModuleCache({ moduleCacheTtl: 10 }, 'diku')).toEqual(expect.objectContaining({ ...modules, isFresh: false }));
+      expect(localforage.getItem).toHaveBeenCalledWith(`${MODULE_CACHE_KEY}.diku`);
+    });
+
+    it('discards a cache from a different moduleCacheVersion', async () => {
+      localforage.getItem.mockResolvedValue({ ...modules, version: '1', fetchedAt: Date.now() });
+
+      expect(await getModuleCache({ moduleCacheVersion: '2' }, 'diku')).toEqual({ responses: {}, isFresh: false });
+    });
+
+    it('does not cache with a TTL of 0', async () => {
+      await storeModuleCache({ moduleCacheTtl: 0 }, 'diku', modules);
+      expect(localforage.setItem).not.toHaveBeenCalled();
+
+      expect(await getModuleCache({ moduleCacheTtl: 0 }, 'diku')).toEqual({ responses: {}, isFresh: false });
+      expect(localforage.getItem).not.toHaveBeenCalled();
+    });
+  });
+
   describe('loadStripes', () => {
     beforeEach(() => {
       document.head.appendChild = jest.fn();
@@ -389,6 +1439,87 @@ describe('loginServices', () => {
     });
   });
 
+  describe('setSessionAffiliation', () => {
+    it('switches the session tenant', async () => {
+      localforage.getItem.mockResolvedValue({ user: 'test', tenant: 'central' });
+      localforage.setItem.mockResolvedValue();
+
+      await setSessionAffiliation('fs09');
+      expect(localforage.setItem).toHaveBeenCalledWith(SESSION_NAME, { user: 'test', tenant: 'fs09', affiliation: 'fs09' });
+    });
+  });
+
+  describe('fetchAffiliations', () => {
+    const config = { gatewayUrl: 'https://gateway.example.com', affiliationsUrl: '/consortia/c1/user-tenants?userId={userId}' };
+
+    it('fetches affiliations relative to the gateway', async () => {
+      globalThis.fetch.mockResolvedValue(makeFetchResponse({
+        jsonData: {
+          userTenants: [
+            { tenantId: 'diku', tenantName: 'Diku', isPrimary: true },
+            { tenantId: 'fs09' },
+          ],
+        },
+      }));
+
+      expect(await fetchAffiliations(config, 'central', 'user 1')).toEqual([
+        { tenantId: 'diku', tenantName: 'Diku', isPrimary: true },
+        { tenantId: 'fs09', tenantName: 'fs09', isPrimary: false },
+      ]);
+      expect(globalThis.fetch).toHaveBeenCalledWith(
+        'https://gateway.example.com/consortia/c1/user-tenants?userId=user%201',
+        expect.objectContaining({ credentials: 'include' })
+      );
+    });
+
+    it('accepts an absolute URL and a list', async () => {
+      globalThis.fetch.mockResolvedValue(makeFetchResponse({ jsonData: [{ tenantId: 'diku' }, { tenantName: 'no id' }] }));
+
+      const affiliations = await fetchAffiliations({ ...config, affiliationsUrl: 'https://affiliations.example.com/{userId}' }, 'central', 'u1');
+      expect(affiliations).toEqual([{ tenantId: 'diku', tenantName: 'diku', isPrimary: false }]);
+      expect(globalThis.fetch).toHaveBeenCalledWith('https://affiliations.example.com/u1', expect.any(Object));
+    });
+
+    it('throws when the fetch fails', async () => {
+      globalThis.fetch.mockResolvedValue(makeFetchResponse({ ok: false, status: 403, statusText: 'Forbidden' }));
+      await expect(fetchAffiliations(config, 'central', 'u1')).rejects.toThrow('403 Forbidden');
+    });
+  });
+
+  describe('refreshTokens', () => {
+    const config = { gatewayUrl: 'https://gateway.example.com' };
+
+    it('refreshes tokens and stores their expiry', async () => {
+      globalThis.fetch.mockResolvedValue(makeFetchResponse({
+        jsonData: {
+          accessTokenExpiration: '2026-10-19T12:00:00.000Z',
+          refreshTokenExpiration: '2026-10-19T13:00:00.000Z',
+        },
+      }));
+      localforage.getItem.mockResolvedValue({ user: 'test' });
+      localforage.setItem.mockResolvedValue();
+
+      await refreshTokens(config, 'test-tenant');
+      expect(globalThis.fetch).toHaveBeenCalledWith('https://gateway.example.com/authn/refresh', expect.objectContaining({
+        method: 'POST',
+        credentials: 'include',
+      }));
+      expect(localforage.setItem).toHaveBeenCalledWith(SESSION_NAME, expect.objectContaining({
+        tokenExpiration: expect.objectContaining({
+          atExpires: new Date('2026-10-19T12:00:00.000Z').getTime(),
+          rtExpires: new Date('2026-10-19T13:00:00.000Z').getTime(),
+        }),
+      }));
+    });
+
+    it('throws when the refresh fails', async () => {
+      globalThis.fetch.mockResolvedValue(makeFetchResponse({ ok: false, status: 401, statusText: 'Unauthorized' }));
+
+      await expect(refreshTokens(config, 'test-tenant')).rejects.toThrow('Fetch to https://gateway.example.com/authn/refresh failed: 401 Unauthorized');
+      expect(localforage.setItem).not.toHaveBeenCalled();
+    });
+  });
+
   describe('createSession', () => {
     it('creates and stores session', async () => {
       const data = {
@@ -668,3 +1799,89 @@ describe('isValidConfig', () => {
     });
   });
 });
+
+describe('getConfigErrors', () => {
+  const validConfig = {
+    gatewayUrl: 'https://folio-etesting-snapshot-kong.ci.folio.org',
+    authnUrl: 'https://folio-etesting-snapshot-keycloak.ci.folio.org',
+    tenantOptions: {
+      foo: { name: 'foo', clientId: 'foo-application' }
+    },
+  };
+
+  it('returns an empty list for a valid config', () => {
+    expect(getConfigErrors(validConfig)).toEqual([]);
+  });
+
+  it('reports missing top-level keys', () => {
+    expect(getConfigErrors({})).toEqual([
+      { id: 'stripes-hub.ConfigError.missing', values: { key: 'gatewayUrl' } },
+      { id: 'stripes-hub.ConfigError.missing', values: { key: 'authnUrl' } },
+      { id: 'stripes-hub.ConfigError.missing', values: { key: 'tenantOptions' } },
+    ]);
+  });
+
+  it('reports URLs that are not absolute', () => {
+    const config = { ...validConfig, gatewayUrl: 'kong.example.com', discoveryUrl: '/discovery' };
+    expect(getConfigErrors(config)).toEqual([
+      { id: 'stripes-hub.ConfigError.notAbsoluteUrl', values: { key: 'gatewayUrl', value: 'kong.example.com' } },
+      { id: 'stripes-hub.ConfigError.notAbsoluteUrl', values: { key: 'discoveryUrl', value: '/discovery' } },
+    ]);
+  });
+
+  it('does not require static tenantOptions with a tenant registry', () => {
+    const config = { ...validConfig, tenantRegistryUrl: 'https://registry.example.com/tenants.json' };
+    expect(getConfigErrors({ ...config, tenantOptions: undefined })).toEqual([]);
+    expect(getConfigErrors({ ...config, tenantOptions: {} })).toEqual([]);
+  });
+
+  it('reports empty tenantOptions', () => {
+    const config = { ...validConfig, tenantOptions: {} };
+    expect(getConfigErrors(config)).toEqual([
+      { id: 'stripes-hub.ConfigError.tenantOptionsEmpty', values: {} },
+    ]);
+  });
+
+  it('reports every problem with every tenantOptions entry', () => {
+    const config = {
+      ...validConfig,
+      tenantOptions: {
+        diku: { name: 'diku' },
+        x: { name: 'y', clientId: 'y-application' },
+        bar: 'bar-application',
+      },
+    };
+    expect(getConfigErrors(config)).toEqual([
+      { id: 'stripes-hub.ConfigError.missing', values: { key: 'tenantOptions.diku.clientId' } },
+      { id: 'stripes-hub.ConfigError.tenantNameMismatch', values: { key: 'x', name: 'y' } },
+      { id: 'stripes-hub.ConfigError.tenantNotObject', values: { key: 'bar' } },
+    ]);
+  });
+
+  it('reports per-tenant URLs that are not absolute', () => {
+    const config = { ...validConfig, tenantOptions: { foo: { name: 'foo', clientId: 'foo-application', gatewayUrl: 'kong' } } };
+    expect(getConfigErrors(config)).toEqual([
+      { id: 'stripes-hub.ConfigError.notAbsoluteUrl', values: { key: 'tenantOptions.foo.gatewayUrl', value: 'kong' } },
+    ]);
+  });
+
+  it('reports identity providers without an alias', () => {
+    const config = {
+      ...validConfig,
+      tenantOptions: {
+        ...validConfig.tenantOptions,
+        foo: { ...validConfig.tenantOptions.foo, identityProviders: [{ alias: 'saml' }, { label: 'Library account' }] },
+      },
+    };
+    expect(getConfigErrors(config)).toEqual([
+      { id: 'stripes-hub.ConfigError.missing', values: { key: 'tenantOptions.foo.identityProviders.1.alias' } },
+    ]);
+  });
+
+  it('reports hostTenants entries that do not map to tenantOptions', () => {
+    const config = { ...validConfig, hostTenants: { 'foo.example.org': 'foo', 'bar.example.org': 'bar' } };
+    expect(getConfigErrors(config)).toEqual([
+      { id: 'stripes-hub.ConfigError.hostTenantUnknown', values: { host: 'bar.example.org', key: 'bar' } },
+    ]);
+  });
+});